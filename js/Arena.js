@@ -0,0 +1,222 @@
+class Arena extends Simulation {
+  /**
+   * Arena class.
+   *
+   * Several BirdBrain populations flying on the same pipes, e.g. to compare
+   * two sets of options. Every population keeps its own networks, sensors,
+   * generation and record; its birds carry its hue so they can be told apart.
+   *
+   * The birds of every population are gathered in birds and gen, like the
+   * ones of a single population, with the population of each one in owners.
+   *
+   * With the 'together' restart, the course goes on until every population
+   * is extinct, then they all start their next generation on a new course.
+   * With 'independent', an extinct population starts its next generation
+   * right away on the running course, and its birds are measured from there.
+   *
+   * @constructor
+   * @param brains BirdBrains of the populations (the course is forked from
+   * the first one unless world.seed is given).
+   * @param world World of the Simulation (size, seed, course, physics).
+   * @param restart 'together' (default) or 'independent'.
+   */
+  constructor(brains, world, restart) {
+    if (!brains || brains.length === 0) {
+      throw new Error('Arena: at least one population is needed.');
+    }
+
+    if (restart && !Arena.restarts.includes(restart)) {
+      throw new Error(`Arena: unknown restart "${restart}".`);
+    }
+
+    super(brains[0], world);
+
+    this.restart = restart || 'together';
+    this.owners = []; // Population of each bird.
+    this.populations = brains.map((brain, i) => ({
+      name: String.fromCharCode(65 + i), // A, B, C...
+      hue: Arena.hues[i % Arena.hues.length],
+      brain: brain,
+      perception: null,
+      gen: [],
+      birds: [],
+      alives: 0,
+      generation: 0,
+      record: 0, // Most pipes passed by one of its birds.
+      startScore: 0, // Frame of the course its generation started on.
+      startPipes: 0, // Pipes passed on the course before it started.
+    }));
+  }
+
+  /**
+   * Reset the course and start the next generation of every population.
+   *
+   * @return void
+   */
+  start() {
+    this.reset();
+
+    for (const population of this.populations) {
+      this.breed(population);
+    }
+
+    this.gather();
+    this.perception = this.populations[0].perception;
+    this.generation = this.brain.generation;
+  }
+
+  /**
+   * Start the next generation of one population where the course is.
+   *
+   * @param population Population to breed.
+   * @return void
+   */
+  breed(population) {
+    population.perception = Simulation.perception(population.brain);
+    population.gen = population.brain.nextGeneration();
+    population.birds = population.gen.map(() =>
+      this.createBird({hue: population.hue}));
+    population.alives = population.birds.length;
+    population.generation = population.brain.generation;
+    population.startScore = this.score;
+    population.startPipes = this.pipesPassed;
+  }
+
+  /**
+   * Gather the birds and networks of every population.
+   *
+   * @return void
+   */
+  gather() {
+    this.birds = [];
+    this.gen = [];
+    this.owners = [];
+    this.alives = 0;
+
+    for (const population of this.populations) {
+      for (let i = 0; i < population.birds.length; i++) {
+        this.birds.push(population.birds[i]);
+        this.gen.push(population.gen[i]);
+        this.owners.push(population);
+      }
+      this.alives += population.alives;
+    }
+  }
+
+  /**
+   * Advance the world by one frame, restarting the extinct populations on
+   * their own with the 'independent' restart.
+   *
+   * @return void
+   */
+  update() {
+    super.update();
+
+    if (this.restart !== 'independent') {
+      return;
+    }
+
+    let restarted = false;
+    for (const population of this.populations) {
+      if (population.alives === 0) {
+        this.breed(population);
+        restarted = true;
+      }
+    }
+
+    if (restarted) {
+      this.gather();
+      this.generation = this.brain.generation;
+    }
+  }
+
+  think(i) {
+    const inputs = this.owners[i].perception.read(this, this.birds[i]);
+
+    return this.shouldFlap(this.gen[i].compute(inputs));
+  }
+
+  perceptionOf(i) {
+    return this.owners[i].perception;
+  }
+
+  /**
+   * Kill a bird and score its network in the brain of its population.
+   *
+   * @param i Index of the bird.
+   * @param cause 'crash' (if omitted), or 'survived' when a frame limit
+   * stopped the bird.
+   * @return void
+   */
+  kill(i, cause) {
+    const population = this.owners[i];
+    const bird = this.birds[i];
+
+    bird.die(this.score - population.startScore,
+      this.pipesPassed - population.startPipes);
+    this.alives--;
+    population.alives--;
+    population.record = Math.max(population.record, bird.pipesPassed);
+
+    population.brain.networkScore(this.gen[i], this.measure(bird),
+      cause || 'crash');
+  }
+
+  /**
+   * Measures of the run of a bird, counted from the start of its
+   * population generation.
+   *
+   * @param bird Bird to measure.
+   * @return {frames, pipes, gapDistance, flaps, height, trajectory}
+   * Measures.
+   */
+  measure(bird) {
+    const population = this.owners[this.birds.indexOf(bird)];
+    const measures = super.measure(bird);
+
+    measures.frames -= population.startScore;
+    measures.pipes -= population.startPipes;
+
+    return measures;
+  }
+
+  /**
+   * Check whether the course is over: never with the 'independent' restart.
+   *
+   * @return Boolean - True if every population is extinct.
+   */
+  isItEnd() {
+    return this.restart === 'together' && super.isItEnd();
+  }
+
+  /**
+   * Pipes passed by the current generation of a population.
+   *
+   * @param population One of the populations.
+   * @return Number - Pipes passed since it started.
+   */
+  pipesOf(population) {
+    return this.pipesPassed - population.startPipes;
+  }
+
+  /**
+   * Most pipes passed by a bird of a population, the living ones included.
+   *
+   * @param population One of the populations.
+   * @return Number - Record of the population.
+   */
+  recordOf(population) {
+    return population.alives > 0 ?
+      Math.max(population.record, this.pipesOf(population)) :
+      population.record;
+  }
+}
+
+Arena.restarts = ['together', 'independent'];
+
+// Hue rotations of the bird sprite, one per population.
+Arena.hues = [0, 180, 100, 280, 320, 40];
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Arena};
+}
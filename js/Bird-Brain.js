@@ -1,6 +1,307 @@
-const options = {
+/**
+ * Activation functions a Layer can pick by name.
+ *
+ * Each one gets the weighted sum of a Neuron and the sums of the whole Layer
+ * (only softmax needs the latter).
+ */
+const Activations = {
+  sigmoid: function (a) {
+    return (1 / (1 + Math.exp(-a)))
+  },
+
+  tanh: function (a) {
+    return Math.tanh(a);
+  },
+
+  relu: function (a) {
+    return a > 0 ? a : 0;
+  },
+
+  leakyRelu: function (a) {
+    return a > 0 ? a : 0.01 * a;
+  },
+
+  linear: function (a) {
+    return a;
+  },
+
+  /**
+   * Normalized exponential, only allowed on the output Layer.
+   */
+  softmax: function (a, sums) {
+    const max = Math.max(...sums);
+    let total = 0;
+
+    for (const i in sums) {
+      total += Math.exp(sums[i] - max);
+    }
+
+    return Math.exp(a - max) / total;
+  }
+};
+
+/**
+ * Fitness strategies the fitness option can pick by name.
+ *
+ * Each one weights the measures of a run reported to networkScore():
+ * frames survived, pipes passed, gapDistance (pixels between the bird and
+ * the center of the gap ahead when it died) and flaps (height and
+ * trajectory describe its behavior, see Behaviors).
+ */
+const Fitness = {
+  frames: {frames: 1},
+  pipes: {pipes: 1},
+  centering: {frames: 1, gapDistance: -1},
+  flaps: {frames: 1, flaps: -2},
+};
+
+/**
+ * Parent selection schemes the selection option can pick by name.
+ *
+ * Each one picks a parent among the Genomes of a Generation, sorted from the
+ * best to the worst. The default 'triangular' scheme is not listed here: it
+ * breeds every Genome with each better one, in order (see
+ * Generation.generateNextGeneration()).
+ */
+const Selection = {
+  /**
+   * Best of tournamentSize Genomes picked at random.
+   */
+  tournament: function (genomes, options) {
+    let best = genomes.length - 1;
+
+    for (let i = 0; i < options.tournamentSize; i++) {
+      best = Math.min(best,
+        Math.floor(options.random.next() * genomes.length));
+    }
+
+    return genomes[best];
+  },
+
+  /**
+   * Chance proportional to the score (shifted above the worst one).
+   */
+  roulette: function (genomes, options) {
+    const worst = genomes[genomes.length - 1].score;
+    const weights = genomes.map((genome) =>
+      Math.abs(genome.score - worst) + 1e-6);
+
+    return genomes[weightedIndex(weights, options.random)];
+  },
+
+  /**
+   * Chance proportional to the rank (the best has the most).
+   */
+  rank: function (genomes, options) {
+    const weights = genomes.map((genome, i) => genomes.length - i);
+
+    return genomes[weightedIndex(weights, options.random)];
+  },
+
+  /**
+   * Uniform among the best truncation rate of the Genomes.
+   */
+  truncation: function (genomes, options) {
+    const kept = Math.max(1, Math.ceil(options.truncation * genomes.length));
+
+    return genomes[Math.floor(options.random.next() * kept)];
+  }
+};
+
+/**
+ * Index drawn with a chance proportional to its weight.
+ *
+ * @param weights Positive weights.
+ * @param random Random generator.
+ * @return Number - Index.
+ */
+const weightedIndex = function (weights, random) {
+  let total = 0;
+
+  for (const weight of weights) {
+    total += weight;
+  }
+
+  let draw = random.next() * total;
+
+  for (let i = 0; i < weights.length; i++) {
+    draw -= weights[i];
+    if (draw < 0) {
+      return i;
+    }
+  }
+
+  return weights.length - 1;
+};
+
+/**
+ * Crossover operators the crossover option can pick by name.
+ *
+ * Each one mixes the network data of the second parent into a copy of the
+ * first one (the child), genes being the weights and the biases.
+ */
+const Crossover = {
+  /**
+   * Each gene comes from the second parent with the crossoverRate chance.
+   */
+  uniform: function (child, other, options) {
+    for (const genes of sharedGenes(child, other)) {
+      for (const i in other[genes]) {
+        if (options.random.next() <= options.crossoverRate) {
+          child[genes][i] = other[genes][i];
+        }
+      }
+    }
+  },
+
+  /**
+   * The genes after a random cut point come from the second parent.
+   */
+  singlePoint: function (child, other, options) {
+    for (const genes of sharedGenes(child, other)) {
+      const cut = Math.floor(options.random.next() *
+        (other[genes].length + 1));
+
+      for (let i = cut; i < other[genes].length; i++) {
+        child[genes][i] = other[genes][i];
+      }
+    }
+  },
+
+  /**
+   * Each layer (weights and biases) comes from the second parent with the
+   * crossoverRate chance.
+   */
+  layer: function (child, other, options) {
+    let weights = 0;
+    let biases = 0;
+
+    for (let l = 1; l < child.neurons.length; l++) {
+      const nbWeights = child.neurons[l] * child.neurons[l - 1];
+      const nbBiases = child.neurons[l];
+
+      if (options.random.next() <= options.crossoverRate) {
+        for (let i = weights; i < weights + nbWeights; i++) {
+          child.weights[i] = other.weights[i];
+        }
+        if (child.biases && other.biases) {
+          for (let i = biases; i < biases + nbBiases; i++) {
+            child.biases[i] = other.biases[i];
+          }
+        }
+      }
+
+      weights += nbWeights;
+      biases += nbBiases;
+    }
+  },
+
+  /**
+   * Every gene is a random weighted average of both parents (one weight per
+   * child).
+   */
+  blend: function (child, other, options) {
+    const alpha = options.random.next();
+
+    for (const genes of sharedGenes(child, other)) {
+      for (const i in other[genes]) {
+        child[genes][i] = alpha * child[genes][i] +
+          (1 - alpha) * other[genes][i];
+      }
+    }
+  }
+};
+
+/**
+ * Mutation operators the mutation option can pick by name.
+ *
+ * Each one perturbs the genes (weights and biases) of the network data of a
+ * child, every gene with the mutationRate chance, by an amount scaled by the
+ * mutation range of the Generation breeding it, and returns the
+ * [genes, index, change] of every gene mutated.
+ */
+const Mutations = {
+  /**
+   * Uniform noise between -range and range.
+   */
+  uniform: function (network, options, range) {
+    return mutateGenes(network, options, () =>
+      options.random.next() * range * 2 - range);
+  },
+
+  /**
+   * Gaussian noise of standard deviation range.
+   */
+  gaussian: function (network, options, range) {
+    return mutateGenes(network, options, () =>
+      options.random.gaussian() * range);
+  },
+
   /**
-   * Logistic activation function.
+   * Gaussian noise of the step size of the network, which evolves along
+   * with the genes: it is first multiplied by a log-normal factor. Networks
+   * without one start from range.
+   */
+  selfAdaptive: function (network, options, range) {
+    const genes = network.weights.length +
+      (network.biases ? network.biases.length : 0);
+    const tau = 1 / Math.sqrt(Math.max(1, genes));
+
+    network.step = (network.step || range) *
+      Math.exp(tau * options.random.gaussian());
+    return mutateGenes(network, options, () =>
+      options.random.gaussian() * network.step);
+  }
+};
+
+/**
+ * Add noise to the genes of network data, each one with the mutationRate
+ * chance.
+ *
+ * @param network Network data of a child.
+ * @param options Options of the BirdBrain.
+ * @param noise Returns the change of a gene.
+ * @return [[String, Number, Number]] - [genes, index, change] of every gene
+ * mutated.
+ */
+const mutateGenes = function (network, options, noise) {
+  const mutations = [];
+
+  // Biases evolve exactly like weights.
+  for (const genes of ['weights', 'biases']) {
+    for (const i in network[genes]) {
+      if (options.random.next() <= options.mutationRate) {
+        const change = noise();
+
+        network[genes][i] += change;
+        mutations.push([genes, Number(i), change]);
+      }
+    }
+  }
+
+  return mutations;
+};
+
+/**
+ * Gene arrays both parents have.
+ *
+ * @param child Network data of the child.
+ * @param other Network data of the second parent.
+ * @return [] - Among 'weights' and 'biases'.
+ */
+const sharedGenes = function (child, other) {
+  return ['weights', 'biases'].filter((genes) =>
+    child[genes] && other[genes]);
+};
+
+/**
+ * Default options of a BirdBrain, copied into each instance.
+ */
+const gaDefaults = {
+  /**
+   * Logistic activation function, used by the Layers which don't pick one.
+   *
+   * Either a function or the name of one of the Activations.
    *
    * @param a - Input value.
    * @return Number - function output.
@@ -12,14 +313,23 @@ const options = {
   /**
    * Returns a random value between -1 and 1.
    *
+   * Draws from the random generator of the options it is called on (the
+   * one of their BirdBrain).
+   *
    * @return Number - random function output.
    */
   randomClamped: function () {
-    return Math.random() * 2 - 1;
+    return (this.random ? this.random.next() : Math.random()) * 2 - 1;
   },
 
   // Conscious factors and parameters (along with default values).
+  engine: 'ga', // Neuroevolution engine (see Engines).
+  seed: null, // Seed of the random generator (null picks a random one).
   network: [1, [1], 1], // Perception network structure (1 hidden layer).
+  // Each layer is a number of neurons or {neurons, activation}, e.g.
+  // [2, [{neurons: 4, activation: 'relu'}], {neurons: 1, activation: 'tanh'}].
+  sensors: null, // Sensors feeding the input layer in a Simulation (see
+  // Sensors.js), network[0] then follows their size.
   population: 50, // Population by generation.
   elitism: 0.2, // Best networks kept unchanged for the next
   // generation (rate).
@@ -28,10 +338,52 @@ const options = {
   mutationRate: 0.1, // Mutation rate on the weights of synapses.
   mutationRange: 0.5, // Interval of the mutation changes on the
   // synapse weight.
-  historic: 0, // Latest generations saved.
-  lowHistoric: false, // Only save score (not the network).
+  historic: 0, // Past generations kept whole (-1 for all).
+  lowHistoric: false, // Drop the networks of the past generations kept
+  // (but the last one), keeping their scores.
+  genealogy: 50, // Generations whose genealogy is kept (-1 for all), the
+  // ancestors of the best network always are (see Chronicle).
+  summaries: -1, // Generations whose score summary is kept (-1 for all).
   scoreSort: -1, // Sort order (-1 = desc, 1 = asc).
-  nbChild: 1 // Number of children by breeding.
+  fitness: 'frames', // Score of a run: name of one of the Fitness
+  // strategies, weights of the measures (e.g. {pipes: 100, flaps: -1}) or
+  // function (measures) => score.
+  nbChild: 1, // Number of children by breeding.
+  selection: 'triangular', // Parent selection: 'triangular' or one of the
+  // Selection schemes (tournament, roulette, rank, truncation).
+  tournamentSize: 3, // Genomes competing in a tournament selection.
+  truncation: 0.5, // Best Genomes (rate) kept as parents by truncation.
+  crossover: 'uniform', // Crossover: one of the Crossover operators
+  // (uniform, singlePoint, layer, blend).
+  crossoverRate: 0.5, // Chance to take a gene (or a layer) from the second
+  // parent.
+  mutation: 'uniform', // Mutation noise: one of the Mutations (uniform,
+  // gaussian, selfAdaptive).
+  mutationSchedule: 'fixed', // How mutationRange changes over the run:
+  // 'fixed', 'oneFifth' (1/5th success rule) or 'stagnation' (raised while
+  // the best score stalls).
+  scheduleWindow: 10, // Last generations the oneFifth success rate is
+  // measured on.
+  scheduleFactor: 1.5, // Factor a schedule multiplies or divides the
+  // mutation range by.
+  scheduleLimit: 10, // A schedule keeps the mutation range within
+  // mutationRange divided and multiplied by it.
+  stagnation: 0, // Generations without a better best score before the
+  // stagnation detector reacts (0 never does).
+  stagnationInject: 0.5, // Random networks (rate) bred into the next
+  // generation when it does.
+  strategy: 'fitness', // Ranking of the Genomes for breeding: one of the
+  // Strategies (fitness, novelty, pareto).
+  behavior: 'death', // Behavior of a run for novelty: one of the Behaviors
+  // (death, trajectory) or function (measures) => [Number].
+  noveltyNeighbors: 15, // Nearest behaviors the novelty is measured on.
+  noveltyWeight: 0.5, // Share of the novelty in the novelty ranking, the
+  // rest being the score.
+  archiveAdd: 2, // Most novel behaviors of every Generation archived.
+  archiveLimit: 500, // Behaviors kept in the archive (oldest dropped).
+  objectives: {frames: 1, flaps: -1, size: -1} // Objectives of the pareto
+  // strategy: measures, size (of the weights) or novelty, with 1 to
+  // maximize and -1 to minimize them.
 };
 
 class BirdBrain {
@@ -42,8 +394,21 @@ class BirdBrain {
    * @param options An object of options for BirdBrain.
    */
   constructor(options) {
-    this.generations = new Generations();
+    this.options = Object.assign({}, this.constructor.defaults);
+    this.generations = new Generations(this.options);
+    this.generation = 0; // Number of generations created so far.
+    this.previous = null; // Last fully scored Generation.
+    this.best = null; // Best Genome ever scored.
+    this.stats = []; // Stats of every scored Generation, oldest first.
+    this.archive = []; // Novel behaviors met so far (novelty strategy).
+    this.adaptation = { // State of the mutation schedule.
+      range: null, // Mutation range of the next breeding.
+      best: null, // Best Generation score so far.
+      stagnant: 0, // Generations since it improved.
+      successes: [], // Whether each of the last Generations improved it.
+    };
     this.set(options);
+    this.history = new Chronicle(this.options); // Summaries and genealogy.
   }
 
   /**
@@ -53,15 +418,232 @@ class BirdBrain {
    * @return void
    */
   set(initOptions) {
+    const options = this.options;
+    const merged = Object.assign({}, options);
+
     for (let i in initOptions) {
       if (initOptions.hasOwnProperty(i)) {
-        options[i] = initOptions[i];
+        merged[i] = initOptions[i];
       }
     }
 
-    this.options = options;
+    // Nothing changes if any option is wrong.
+    this.validate(merged);
+    Object.assign(options, merged);
+
+    if (!this.random || (initOptions && initOptions.hasOwnProperty('seed'))) {
+      // Every random draw of BirdBrain comes from this generator.
+      this.random = new Random(options.seed);
+      options.seed = this.random.seed;
+    }
+
+    options.random = this.random;
   };
 
+  /**
+   * Check the options, so a bad one fails at construction rather than
+   * generations later.
+   *
+   * @param options Options to check.
+   * @return void
+   */
+  validate(options) {
+    const rates = ['elitism', 'randomBehaviour', 'mutationRate',
+      'truncation', 'crossoverRate', 'noveltyWeight', 'stagnationInject'];
+
+    if (!(Number.isInteger(options.population) && options.population >= 2)) {
+      throw new Error('BirdBrain: population must be an integer of at least ' +
+        '2.');
+    }
+
+    for (const rate of rates) {
+      if (!(options[rate] >= 0 && options[rate] <= 1)) {
+        throw new Error(`BirdBrain: ${rate} must be between 0 and 1.`);
+      }
+    }
+
+    if (!(options.mutationRange >= 0)) {
+      throw new Error('BirdBrain: mutationRange must be positive.');
+    }
+
+    if (!(Number.isInteger(options.tournamentSize) &&
+      options.tournamentSize >= 1)) {
+      throw new Error('BirdBrain: tournamentSize must be a positive integer.');
+    }
+
+    for (const retention of ['historic', 'genealogy', 'summaries']) {
+      if (!(Number.isInteger(options[retention]) &&
+        options[retention] >= -1)) {
+        throw new Error(`BirdBrain: ${retention} must be -1 or more.`);
+      }
+    }
+
+    if (options.scoreSort !== -1 && options.scoreSort !== 1) {
+      throw new Error('BirdBrain: scoreSort must be -1 or 1.');
+    }
+
+    if (!Array.isArray(options.network) || options.network.length !== 3 ||
+      !Array.isArray(options.network[1] || [])) {
+      throw new Error('BirdBrain: network must be [input, [hidden], output].');
+    }
+
+    // Every layer is a number of Neurons or {neurons, activation}, like
+    // Network.perceptronGeneration() builds them.
+    const layers = [options.network[0]].concat(options.network[1] || [],
+      [options.network[2]]);
+
+    layers.forEach((layer, index) => {
+      const spec = layer !== null && typeof layer === 'object' ?
+        layer :
+        {neurons: layer};
+      const activation = spec.activation;
+
+      if (!(Number.isInteger(spec.neurons) && spec.neurons > 0)) {
+        throw new Error('BirdBrain: every network layer needs a positive ' +
+          'integer of neurons.');
+      }
+
+      if (index === 0 || activation === undefined || activation === null ||
+        typeof activation === 'function') {
+        return;
+      }
+
+      if (!Activations.hasOwnProperty(activation)) {
+        throw new Error(`BirdBrain: unknown activation "${activation}".`);
+      }
+
+      if (activation === 'softmax' && index !== layers.length - 1) {
+        throw new Error('BirdBrain: softmax is only allowed on the output ' +
+          'layer.');
+      }
+    });
+
+    if (typeof options.activation !== 'function' &&
+      !Activations.hasOwnProperty(options.activation)) {
+      throw new Error(
+        `BirdBrain: unknown activation "${options.activation}".`);
+    }
+
+    if (typeof options.fitness === 'string' &&
+      !Fitness.hasOwnProperty(options.fitness)) {
+      throw new Error(`BirdBrain: unknown fitness "${options.fitness}".`);
+    }
+
+    if (options.selection !== 'triangular' &&
+      !Selection.hasOwnProperty(options.selection)) {
+      throw new Error(`BirdBrain: unknown selection "${options.selection}".`);
+    }
+
+    if (!Crossover.hasOwnProperty(options.crossover)) {
+      throw new Error(`BirdBrain: unknown crossover "${options.crossover}".`);
+    }
+
+    if (!Mutations.hasOwnProperty(options.mutation)) {
+      throw new Error(`BirdBrain: unknown mutation "${options.mutation}".`);
+    }
+
+    if (!['fixed', 'oneFifth', 'stagnation']
+      .includes(options.mutationSchedule)) {
+      throw new Error('BirdBrain: unknown mutationSchedule ' +
+        `"${options.mutationSchedule}".`);
+    }
+
+    if (!(Number.isInteger(options.scheduleWindow) &&
+      options.scheduleWindow >= 1)) {
+      throw new Error('BirdBrain: scheduleWindow must be a positive integer.');
+    }
+
+    for (const factor of ['scheduleFactor', 'scheduleLimit']) {
+      if (!(options[factor] > 1)) {
+        throw new Error(`BirdBrain: ${factor} must be above 1.`);
+      }
+    }
+
+    if (!(Number.isInteger(options.stagnation) && options.stagnation >= 0)) {
+      throw new Error('BirdBrain: stagnation must be an integer of at ' +
+        'least 0.');
+    }
+
+    if (options.mutationSchedule === 'stagnation' &&
+      options.stagnation === 0) {
+      throw new Error('BirdBrain: the stagnation schedule needs a ' +
+        'stagnation of at least 1.');
+    }
+
+    if (!Strategies.hasOwnProperty(options.strategy)) {
+      throw new Error(`BirdBrain: unknown strategy "${options.strategy}".`);
+    }
+
+    if (options.strategy !== 'fitness' && options.selection === 'roulette') {
+      throw new Error('BirdBrain: roulette selection weighs scores, use ' +
+        'another one with the ' + options.strategy + ' strategy.');
+    }
+
+    if (typeof options.behavior !== 'function' &&
+      !Behaviors.hasOwnProperty(options.behavior)) {
+      throw new Error(`BirdBrain: unknown behavior "${options.behavior}".`);
+    }
+
+    for (const count of ['noveltyNeighbors', 'archiveAdd', 'archiveLimit']) {
+      if (!(Number.isInteger(options[count]) && options[count] >= 0)) {
+        throw new Error(`BirdBrain: ${count} must be an integer of at ` +
+          'least 0.');
+      }
+    }
+
+    const objectives = Object.keys(options.objectives || {});
+    if (objectives.length === 0 || objectives.some((key) =>
+      options.objectives[key] !== 1 && options.objectives[key] !== -1)) {
+      throw new Error('BirdBrain: objectives must map at least one measure ' +
+        'to 1 (maximize) or -1 (minimize).');
+    }
+  }
+
+  /**
+   * Score the measures of a run with the fitness strategy.
+   *
+   * @param measures - {frames, pipes, gapDistance, flaps} of the run.
+   * @return Number - Score.
+   */
+  fitness(measures) {
+    if (typeof this.options.fitness === 'function') {
+      return this.options.fitness(measures);
+    }
+
+    const weights = typeof this.options.fitness === 'string' ?
+      Fitness[this.options.fitness] :
+      this.options.fitness;
+    let score = 0;
+
+    for (const i in weights) {
+      score += weights[i] * (measures[i] || 0);
+    }
+
+    return score;
+  }
+
+  /**
+   * Name of the fitness strategy, reported in the Generation stats.
+   *
+   * @return String - Strategy name, or its weights when custom.
+   */
+  fitnessName() {
+    if (typeof this.options.fitness === 'string') {
+      return this.options.fitness;
+    }
+
+    if (typeof this.options.fitness === 'function') {
+      return this.options.fitness.name || 'custom';
+    }
+
+    const terms = [];
+    for (const i in this.options.fitness) {
+      terms.push(`${this.options.fitness[i]}*${i}`);
+    }
+
+    return terms.join(' + ');
+  }
+
   /**
    * Create the next generation.
    *
@@ -70,6 +652,16 @@ class BirdBrain {
   nextGeneration() {
     let networks = [];
 
+    if (this.generations.generations.length > 0) {
+      this.previous = this.generations
+        .generations[this.generations.generations.length - 1];
+      this.rank(this.previous);
+      this.adapt(this.previous);
+      this.record(this.previous);
+      this.history.record(this.generation, this.previous,
+        this.best && this.best.network ? this.best.network.id : undefined);
+    }
+
     if (this.generations.generations.length === 0) {
       // If no Generations, create first.
       networks = this.generations.firstGeneration();
@@ -78,62 +670,367 @@ class BirdBrain {
       networks = this.generations.nextGeneration();
     }
 
+    this.generation++;
+    this.generations.generations[this.generations.generations.length - 1]
+      .fitness = this.fitnessName();
+    this.history.born(networks, this.previous ? this.previous.origins : null,
+      this.generation);
+
     // Create Networks from the current Generation.
     const nns = [];
 
     for (let i in networks) {
-      const nn = new Network();
-
-      nn.setSave(networks[i]);
-      nns.push(nn);
+      nns.push(this.createNetwork(networks[i]));
     }
 
-    if (options.lowHistoric) {
-      // Remove old Networks.
-      if (this.generations.generations.length >= 2) {
+    this.retain();
+
+    return nns;
+  };
+
+  /**
+   * Drop the past Generations, or their networks, beyond the retention
+   * options (historic and lowHistoric).
+   *
+   * @return void
+   */
+  retain() {
+    if (this.options.lowHistoric) {
+      // Remove old Networks, but the ones of the Generation just bred from
+      // and the best one: saves and migrations still read them.
+      if (this.generations.generations.length >= 3) {
         const genomes =
           this.generations
-            .generations[self.generations.generations.length - 2]
+            .generations[this.generations.generations.length - 3]
             .genomes;
         for (let i in genomes) {
-          delete genomes[i].network;
+          if (genomes[i] !== this.best) {
+            delete genomes[i].network;
+          }
         }
       }
     }
 
-    if (options.historic !== -1) {
+    if (this.options.historic !== -1) {
       // Remove older generations.
-      if (this.generations.generations.length > options.historic + 1) {
+      if (this.generations.generations.length > this.options.historic + 1) {
         this.generations.generations.splice(0,
-          this.generations.generations.length - (options.historic + 1));
+          this.generations.generations.length - (this.options.historic + 1));
       }
     }
+  }
 
-    return nns;
-  };
+  /**
+   * Order the Genomes of a scored Generation for breeding with the ranking
+   * strategy (see Strategies).
+   *
+   * @param generation Scored Generation.
+   * @return void
+   */
+  rank(generation) {
+    if (this.options.strategy === 'fitness' || generation.ranked) {
+      return;
+    }
+
+    generation.ranked = Strategies[this.options.strategy](
+      generation.genomes, this);
+  }
+
+  /**
+   * Set how a scored Generation breeds the next one: follow the mutation
+   * schedule, and react to a stagnation of the best score.
+   *
+   * oneFifth widens the mutation range when more than a fifth of the last
+   * scheduleWindow Generations improved the best score, and narrows it when
+   * fewer did. stagnation widens it every time the detector reacts, back to
+   * mutationRange once the best score improves. The detector reacts after
+   * stagnation Generations without improvement, breeding stagnationInject
+   * random networks into the next Generation. The range stays within
+   * scheduleLimit of mutationRange.
+   *
+   * @param generation Scored Generation.
+   * @return void
+   */
+  adapt(generation) {
+    const options = this.options;
+    const state = this.adaptation;
+    const best = generation.genomes.length ? generation.genomes[0].score :
+      null;
+    const improved = best !== null && (state.best === null ||
+      (options.scoreSort < 0 ? best > state.best : best < state.best));
+
+    if (state.range === null || options.mutationSchedule === 'fixed') {
+      state.range = options.mutationRange;
+    }
+
+    if (improved) {
+      state.best = best;
+      state.stagnant = 0;
+    } else {
+      state.stagnant++;
+    }
+
+    state.successes.push(improved);
+    if (state.successes.length > options.scheduleWindow) {
+      state.successes.shift();
+    }
+
+    const stagnant = options.stagnation > 0 &&
+      state.stagnant >= options.stagnation;
+
+    if (options.mutationSchedule === 'oneFifth' &&
+      state.successes.length === options.scheduleWindow) {
+      const rate = state.successes.filter((success) => success).length /
+        state.successes.length;
+
+      if (rate > 0.2) {
+        state.range *= options.scheduleFactor;
+      } else if (rate < 0.2) {
+        state.range /= options.scheduleFactor;
+      }
+    } else if (options.mutationSchedule === 'stagnation') {
+      if (improved) {
+        state.range = options.mutationRange;
+      } else if (stagnant) {
+        state.range *= options.scheduleFactor;
+      }
+    }
+
+    state.range = Math.min(options.mutationRange * options.scheduleLimit,
+      Math.max(options.mutationRange / options.scheduleLimit, state.range));
+
+    if (stagnant) {
+      state.stagnant = 0; // Reacts again after as many Generations.
+    }
+
+    generation.mutationRange = state.range;
+    generation.stagnant = stagnant;
+    generation.randomBehaviour = stagnant ?
+      Math.max(options.randomBehaviour, options.stagnationInject) :
+      options.randomBehaviour;
+  }
+
+  /**
+   * Behavior of a run, as the behavior option characterizes it.
+   *
+   * @param measures Measures of the run.
+   * @return [Number] - Behavior vector.
+   */
+  behavior(measures) {
+    const behavior = typeof this.options.behavior === 'function' ?
+      this.options.behavior :
+      Behaviors[this.options.behavior];
+
+    return measures ? behavior(measures) : [];
+  }
+
+  /**
+   * Novelty of the Genomes of a Generation: mean distance from the behavior
+   * of each one to its noveltyNeighbors nearest, among the others and the
+   * archive. The archiveAdd most novel behaviors are then archived.
+   *
+   * @param genomes Scored Genomes.
+   * @return [Number] - Novelty of every Genome (also set as its novelty).
+   */
+  novelty(genomes) {
+    const behaviors = genomes.map((genome) => this.behavior(genome.measures));
+    const pool = behaviors.concat(this.archive);
+    const novelties = behaviors.map((behavior, i) => {
+      const distances = [];
+
+      for (let j = 0; j < pool.length; j++) {
+        if (j !== i) {
+          distances.push(behaviorDistance(behavior, pool[j]));
+        }
+      }
+      distances.sort((a, b) => a - b);
+
+      const nearest = distances.slice(0, this.options.noveltyNeighbors);
+
+      return nearest.length ?
+        nearest.reduce((sum, distance) => sum + distance, 0) / nearest.length :
+        0;
+    });
+
+    genomes.forEach((genome, i) => {
+      genome.novelty = novelties[i];
+    });
+
+    behaviors.map((behavior, i) => i)
+      .sort((a, b) => novelties[b] - novelties[a])
+      .slice(0, this.options.archiveAdd)
+      .forEach((i) => this.archive.push(behaviors[i]));
+    if (this.archive.length > this.options.archiveLimit) {
+      this.archive.splice(0, this.archive.length - this.options.archiveLimit);
+    }
+
+    return novelties;
+  }
+
+  /**
+   * Create a Network from network data.
+   *
+   * @param save Network data (see Network.getSave()).
+   * @return Network - Network ready to compute.
+   */
+  createNetwork(save) {
+    const network = new Network(this.options);
+
+    network.setSave(save);
+
+    return network;
+  }
+
+  /**
+   * Keep the stats of the current Generation once it is fully scored.
+   *
+   * @param generation The current Generation.
+   * @return void
+   */
+  record(generation) {
+    const last = this.stats[this.stats.length - 1];
+
+    if (last && last.generation === this.generation) {
+      // Already recorded before a save.
+      return;
+    }
+
+    generation.ended = Date.now();
+    this.stats.push(Object.assign({generation: this.generation},
+      generation.stats()));
+  }
 
   /**
    * Adds a new Genome with specified Neural Network and score.
    *
+   * The score is either final, or the measures of the run, in which case
+   * the fitness strategy turns them into the score.
+   *
    * @param network Neural Network.
-   * @param score Score value.
+   * @param score Score value, or {frames, pipes, gapDistance, flaps}.
+   * @param cause Why the bird stopped, 'crash' or 'survived' (see
+   * Simulation.kill()): both score alike here.
    * @return void.
    */
-  networkScore(network, score) {
-    this.generations.addGenome(new Genome(score, network.getSave()));
+  networkScore(network, score, cause) {
+    const genome = typeof score === 'object' ?
+      new Genome(this.fitness(score), network.getSave(), score) :
+      new Genome(score, network.getSave());
+
+    this.generations.addGenome(genome);
+    this.history.scored(genome.network && genome.network.id, genome.score);
+
+    if (this.best === null || (this.options.scoreSort < 0 ?
+      genome.score > this.best.score :
+      genome.score < this.best.score)) {
+      this.best = genome;
+    }
+  }
+
+  /**
+   * Create a copy of the BirdBrain state.
+   *
+   * Keeps the Genomes of the latest fully scored Generation, so a restored
+   * BirdBrain breeds the next Generation from them, and the state of the
+   * random generator. Only a save taken between the scoring of the last
+   * Genome of a Generation and the breeding of the next one breeds it
+   * exactly as this one would. Any other save (in a Simulation, which
+   * breeds as soon as a Generation ends, every save) holds the Generation
+   * scored before the current one and the random state after breeding it,
+   * so the restored BirdBrain breeds another current Generation.
+   *
+   * @return {options, generation, random, genomes, best, stats, archive,
+   * adaptation, history} BirdBrain data.
+   */
+  getSave() {
+    const generations = this.generations.generations;
+    const current = generations[generations.length - 1];
+    let source = this.previous;
+    let generation = this.generation - 1;
+
+    if (current && current.genomes.length >= this.options.population) {
+      source = current;
+      generation = this.generation;
+    }
+
+    const saved = Object.assign({}, this.options);
+    delete saved.random;
+
+    return JSON.parse(JSON.stringify({
+      options: saved,
+      generation: source ? generation : 0,
+      random: this.random.getState(),
+      genomes: source ? source.genomes : [],
+      best: this.best,
+      stats: this.stats,
+      archive: this.archive,
+      adaptation: this.adaptation,
+      history: this.history.getSave(),
+    }));
+  }
+
+  /**
+   * Apply BirdBrain data (options, generation, genomes and best Genome).
+   *
+   * @param save - Copy of BirdBrain data (see getSave()).
+   * @return void
+   */
+  setSave(save) {
+    this.set(save.options);
+
+    if (save.random !== undefined) {
+      this.random.setState(save.random);
+    }
+    this.generations = new Generations(this.options);
+    this.generation = save.generation || 0;
+    this.previous = null;
+    this.best = save.best ?
+      new Genome(save.best.score, save.best.network, save.best.measures) :
+      null;
+    this.stats = save.stats || [];
+    this.archive = save.archive || [];
+    this.adaptation = save.adaptation || {
+      range: null,
+      best: null,
+      stagnant: 0,
+      successes: [],
+    };
+    this.history.setSave(save.history || null);
+
+    if (save.genomes && save.genomes.length >= 2) {
+      const generation = new Generation(this.options);
+
+      for (const i in save.genomes) {
+        generation.addGenome(new Genome(save.genomes[i].score,
+          save.genomes[i].network, save.genomes[i].measures));
+      }
+
+      this.generations.generations.push(generation);
+    }
   }
 }
 
 
 
 class Neuron {
-  constructor() {
+  /**
+   * Neuron class.
+   *
+   * @constructor
+   * @param options Options of the BirdBrain (random generator).
+   */
+  constructor(options) {
+    this.options = options || gaDefaults;
     this.value = 0;
     this.weights = [];
+    this.bias = 0;
   }
 
   /**
-   * Initialize number of neuron weights to random clamped values.
+   * Initialize number of neuron weights and the bias to random clamped
+   * values.
+   *
+   * Neurons without inputs (input layer) keep a null bias.
    *
    * @param nb Number of neuron weights (number of inputs).
    * @return void
@@ -141,8 +1038,9 @@ class Neuron {
   populate(nb) {
     this.weights = [];
     for (let i = 0; i < nb; i++) {
-      this.weights.push(options.randomClamped());
+      this.weights.push(this.options.randomClamped());
     }
+    this.bias = nb > 0 ? this.options.randomClamped() : 0;
   }
 }
 
@@ -153,10 +1051,34 @@ class Layer {
    *
    * @constructor
    * @param index Index of this Layer in the Network.
+   * @param activation Name of the activation function (null for the
+   * default options.activation).
+   * @param options Options of the BirdBrain.
    */
-  constructor (index) {
+  constructor (index, activation, options) {
     this.id = index || 0;
     this.neurons = [];
+    this.activation = activation || null;
+    this.options = options || gaDefaults;
+  }
+
+  /**
+   * Activation function of the Layer.
+   *
+   * @return Function - activation(sum, sums).
+   */
+  activate() {
+    const activation = this.activation || this.options.activation;
+
+    if (typeof activation === 'function') {
+      return activation;
+    }
+
+    if (!Activations.hasOwnProperty(activation)) {
+      throw new Error(`BirdBrain: unknown activation "${activation}".`);
+    }
+
+    return Activations[activation];
   }
 
   /**
@@ -172,7 +1094,7 @@ class Layer {
   populate(nbNeurons, nbInputs) {
     this.neurons = [];
     for (let i = 0; i < nbNeurons; i++) {
-      const n = new Neuron();
+      const n = new Neuron(this.options);
 
       n.populate(nbInputs);
       this.neurons.push(n);
@@ -187,97 +1109,133 @@ class Layer {
  * Composed of Neuron Layers.
  *
  * @constructor
+ * @param options Options of the BirdBrain (default activation and random
+ * generator).
  */
 class Network {
-  constructor() {
+  constructor(options) {
+    this.options = options || gaDefaults;
     this.layers = [];
   }
 
   /**
    * Generate the Network layers.
    *
+   * Every layer is either a number of Neurons or {neurons, activation}.
+   *
    * @param input Number of Neurons in Input layer.
    * @param hidden Number of Neurons per Hidden layer.
    * @param output Number of Neurons in Output layer.
    * @return void
    */
   perceptronGeneration(input, hidden, output) {
-    let index = 0;
+    const specs = [input].concat(hidden || [], [output]);
     let previousNeurons = 0;
-    let layer = new Layer(index);
-
-    layer.populate(input, previousNeurons); // Number of Inputs will be set to
-    // 0 since it is an input layer.
-    previousNeurons = input; // number of input is size of previous layer.
-    this.layers.push(layer);
-    index++;
-
-    for (const i in hidden) {
-      // Repeat same process as first layer for each hidden layer.
-      const layer = new Layer(index);
-      layer.populate(hidden[i], previousNeurons);
-      previousNeurons = hidden[i];
+
+    for (let index = 0; index < specs.length; index++) {
+      const spec = typeof specs[index] === 'object' ?
+        specs[index] :
+        {neurons: specs[index]};
+
+      if (spec.activation === 'softmax' && index !== specs.length - 1) {
+        throw new Error('BirdBrain: softmax is only allowed on the output ' +
+          'layer.');
+      }
+
+      const layer = new Layer(index, index > 0 ? spec.activation : null,
+        this.options);
+      layer.activate(); // Fail early on an unknown activation.
+
+      // Number of inputs is the size of the previous layer (0 for the
+      // input layer).
+      layer.populate(spec.neurons, previousNeurons);
+      previousNeurons = spec.neurons;
       this.layers.push(layer);
-      index++;
     }
-
-    layer = new Layer(index);
-    layer.populate(output, previousNeurons); // Number of input is equal to
-    // the size of the last hidden
-    // layer.
-    this.layers.push(layer);
   }
 
   /**
-   * Create a copy of the Network (neurons and weights).
+   * Create a copy of the Network (neurons, weights, biases and activations).
    *
-   * Returns number of neurons per layer and a flat array of all weights.
+   * Returns number of neurons per layer, a flat array of all weights, a flat
+   * array of the biases of every Neuron past the input layer and the
+   * activation name of each layer.
    *
-   * @return {'weights': Array, 'neurons: []} Network data.
+   * @return {'weights': Array, 'neurons: [], 'biases': [], 'activations': []}
+   * Network data.
    */
   getSave() {
     const dataSet = {
       neurons: [], // Number of Neurons per layer.
-      weights: [] // Weights of each Neuron's inputs.
+      weights: [], // Weights of each Neuron's inputs.
+      biases: [], // Bias of each Neuron (input layer excluded).
+      activations: [] // Activation of each layer (null for the default).
     };
 
     for (const i in this.layers) {
       dataSet.neurons.push(this.layers[i].neurons.length);
+      dataSet.activations.push(this.layers[i].activation);
       for (const j in this.layers[i].neurons) {
         for (const k in this.layers[i].neurons[j].weights) {
           // push all input weights of each Neuron of each Layer into a flat
           // array.
           dataSet.weights.push(this.layers[i].neurons[j].weights[k]);
         }
+        if (i > 0) {
+          dataSet.biases.push(this.layers[i].neurons[j].bias);
+        }
       }
     }
 
+    if (this.step !== undefined) {
+      dataSet.step = this.step; // Mutation step size (selfAdaptive).
+    }
+
+    if (this.id !== undefined) {
+      dataSet.id = this.id; // Id in the Chronicle of its BirdBrain.
+    }
+
     return dataSet;
   }
 
   /**
-   * Apply network data (neurons and weights).
+   * Apply network data (neurons, weights, biases and activations).
+   *
+   * Saves without biases or activations (older ones) get null biases and
+   * the default activation.
    *
-   * @param save - Copy of network data (neurons and weights).
+   * @param save - Copy of network data (see getSave()).
    * @return void
    */
   setSave(save) {
     let previousNeurons = 0;
     let index = 0;
     let indexWeights = 0;
+    let indexBiases = 0;
     this.layers = [];
+    this.step = save.step;
+    this.id = save.id;
 
     for (let i in save.neurons) {
       // Create and populate layers.
-      const layer = new Layer(index);
-      layer.populate(save.neurons[i], previousNeurons);
+      const layer = new Layer(index,
+        save.activations ? save.activations[i] : null, this.options);
+      for (let j = 0; j < save.neurons[i]; j++) {
+        layer.neurons.push(new Neuron(this.options));
+      }
       for (const j in layer.neurons) {
-        for (const k in layer.neurons[j].weights) {
+        for (let k = 0; k < previousNeurons; k++) {
           // Apply neurons weights to each Neuron.
-          layer.neurons[j].weights[k] = save.weights[indexWeights];
+          layer.neurons[j].weights.push(save.weights[indexWeights]);
 
           indexWeights++; // Increment index of flat array.
         }
+        if (index > 0) {
+          layer.neurons[j].bias = save.biases ?
+            save.biases[indexBiases] :
+            0;
+          indexBiases++;
+        }
       }
       previousNeurons = save.neurons[i];
       index++;
@@ -301,9 +1259,11 @@ class Network {
 
     let prevLayer = this.layers[0]; // Previous layer is input layer.
     for (let i = 1; i < this.layers.length; i++) {
+      const sums = [];
+
       for (let j in this.layers[i].neurons) {
         // For each Neuron in each layer.
-        let sum = 0;
+        let sum = this.layers[i].neurons[j].bias;
 
         for (const k in prevLayer.neurons) {
           // Every Neuron in the previous layer is an input to each Neuron in
@@ -312,8 +1272,13 @@ class Network {
             this.layers[i].neurons[j].weights[k];
         }
 
-        // Compute the activation of the Neuron.
-        this.layers[i].neurons[j].value = options.activation(sum);
+        sums.push(sum);
+      }
+
+      // Compute the activation of each Neuron.
+      const activate = this.layers[i].activate();
+      for (let j in this.layers[i].neurons) {
+        this.layers[i].neurons[j].value = activate(sums[j], sums);
       }
 
       prevLayer = this.layers[i];
@@ -334,17 +1299,20 @@ class Network {
 /**
  * Genome class.
  *
- * Composed of a score and a Neural Network.
+ * Composed of a score, a Neural Network and the measures of the run it was
+ * scored on.
  *
  * @constructor
  *
  * @param {score}
  * @param {network}
+ * @param {measures}
  */
 class Genome {
-  constructor(score, network) {
+  constructor(score, network, measures) {
     this.score = score || 0;
     this.network = network || null;
+    this.measures = measures || null;
   }
 }
 
@@ -355,11 +1323,121 @@ class Genome {
  * Composed of a set of Genomes.
  *
  * @constructor
+ * @param options Options of the BirdBrain breeding it.
  */
 class Generation {
   constructor(options) {
     this.options = options;
     this.genomes = [];
+    this.fitness = null; // Name of the fitness strategy scoring it.
+    this.ranked = null; // Genomes in breeding order, when the ranking
+    // strategy is not the score (see Strategies).
+    this.mutationRange = null; // Range its children are mutated by, and
+    this.randomBehaviour = null; // random networks bred, when adapted (see
+    // BirdBrain.adapt()).
+    this.stagnant = false; // Whether the stagnation detector reacted.
+    this.origins = null; // How each network it bred was (see
+    // generateNextGeneration()).
+    this.started = Date.now();
+    this.ended = null; // Set once fully scored.
+  }
+
+  /**
+   * Statistics of the scored Genomes.
+   *
+   * Pipes is the most pipes passed by a Genome, frames the frames flown by
+   * all of them (the experience it took), diversity the mean standard
+   * deviation of each weight (and bias) across the Genomes, and duration the
+   * wall-clock time it took to score them, in milliseconds. Novelty is their
+   * mean novelty and front the size of their first Pareto front, when a
+   * ranking strategy measured them (null otherwise). MutationRange is the
+   * range its children are mutated by, and stagnant whether the stagnation
+   * detector reacted on it.
+   *
+   * @return {fitness, size, best, mean, median, worst, pipes, frames,
+   * diversity, novelty, front, mutationRange, stagnant, duration}
+   * Generation stats.
+   */
+  stats() {
+    const size = this.genomes.length;
+    let total = 0;
+    let pipes = 0;
+    let frames = 0;
+    let novelty = null;
+    let front = null;
+
+    for (const i in this.genomes) {
+      total += this.genomes[i].score;
+      if (this.genomes[i].measures) {
+        pipes = Math.max(pipes, this.genomes[i].measures.pipes);
+        frames += this.genomes[i].measures.frames;
+      }
+      if (this.genomes[i].novelty !== undefined) {
+        novelty = (novelty || 0) + this.genomes[i].novelty / size;
+      }
+      if (this.genomes[i].front !== undefined) {
+        front = (front || 0) + (this.genomes[i].front === 1 ? 1 : 0);
+      }
+    }
+
+    return {
+      fitness: this.fitness,
+      size: size,
+      best: size ? this.genomes[0].score : 0,
+      mean: size ? total / size : 0,
+      median: size ? (this.genomes[Math.floor((size - 1) / 2)].score +
+        this.genomes[Math.ceil((size - 1) / 2)].score) / 2 : 0,
+      worst: size ? this.genomes[size - 1].score : 0,
+      pipes: pipes,
+      frames: frames,
+      diversity: this.diversity(),
+      novelty: novelty,
+      front: front,
+      mutationRange: this.mutationRange,
+      stagnant: this.stagnant,
+      duration: this.ended && this.started ? this.ended - this.started : null,
+    };
+  }
+
+  /**
+   * Mean standard deviation of the genes (weights and biases) across the
+   * Genomes.
+   *
+   * @return Number - 0 when every Genome has the same genes.
+   */
+  diversity() {
+    const genes = [];
+
+    for (const i in this.genomes) {
+      const network = this.genomes[i].network;
+
+      if (network && network.weights) {
+        genes.push(network.weights.concat(network.biases || []));
+      }
+    }
+
+    if (genes.length < 2) {
+      return 0;
+    }
+
+    const length = Math.min(...genes.map((g) => g.length));
+    let total = 0;
+
+    for (let k = 0; k < length; k++) {
+      let mean = 0;
+      let variance = 0;
+
+      for (const g of genes) {
+        mean += g[k] / genes.length;
+      }
+      for (const g of genes) {
+        variance += (g[k] - mean) * (g[k] - mean) / genes.length;
+      }
+
+      total += Math.sqrt(variance);
+    }
+
+    return length ? total / length : 0;
   }
 
   /**
@@ -369,6 +1447,8 @@ class Generation {
    * @return void.
    */
   addGenome(genome) {
+    const options = this.options;
+
     // Locate position to insert Genome into.
     // The gnomes should remain sorted.
     let i;
@@ -398,29 +1478,21 @@ class Generation {
    * @param nbchildren Number of offspring (children).
    */
   breed(g1, g2, nbchildren) {
+    const options = this.options;
     const dataSet = [];
 
     for (let nb = 0; nb < nbchildren; nb++) {
       // Deep clone of genome 1.
       const data = JSON.parse(JSON.stringify(g1));
-      for (const i in g2.network.weights) {
-        // Genetic crossover
-        // 0.5 is the crossover factor.
-        // FIXME Really should be a predefined constant.
-        if (Math.random() <= 0.5) {
-          data.network.weights[i] = g2.network.weights[i];
-        }
-      }
 
-      // Perform mutation on some weights.
-      for (const i in data.network.weights) {
-        if (Math.random() <= options.mutationRate) {
-          data.network.weights[i] += Math.random() *
-            options.mutationRange *
-            2 -
-            options.mutationRange;
-        }
-      }
+      // Genetic crossover.
+      Crossover[options.crossover](data.network, g2.network, options);
+
+      // Perform mutation on some genes.
+      data.mutations = Mutations[options.mutation](data.network, options,
+        this.mutationRange === null ? options.mutationRange :
+          this.mutationRange);
+      data.parents = [g1.network, g2.network];
       dataSet.push(data);
     }
 
@@ -430,26 +1502,66 @@ class Generation {
   /**
    * Generate the next generation.
    *
+   * Origins gets how each network was bred, in the same order:
+   * {origin, parents, mutations} (see Chronicle).
+   *
    * @return Array - Next generation data array.
    */
   generateNextGeneration() {
+    const options = this.options;
+    const genomes = this.ranked || this.genomes; // Best first.
     const nexts = [];
+    const origins = [];
+
+    this.origins = origins;
 
     for (let i = 0; i < Math.round(options.elitism * options.population); i++) {
       if (nexts.length < options.population) {
         // Push a deep copy of ith Genome's Network.
-        nexts.push(JSON.parse(JSON.stringify(this.genomes[i].network)));
+        nexts.push(JSON.parse(JSON.stringify(genomes[i].network)));
+        origins.push({
+          origin: 'elite',
+          parents: [genomes[i].network],
+          mutations: [],
+        });
       }
     }
 
-    for (let i = 0; i < Math.round(options.randomBehaviour *
-      options.population); i++) {
-      const n = JSON.parse(JSON.stringify(this.genomes[0].network));
+    const randomBehaviour = this.randomBehaviour === null ?
+      options.randomBehaviour :
+      this.randomBehaviour;
+
+    for (let i = 0; i < Math.round(randomBehaviour * options.population);
+      i++) {
+      const n = JSON.parse(JSON.stringify(genomes[0].network));
       for (const k in n.weights) {
         n.weights[k] = options.randomClamped();
       }
+      for (const k in n.biases) {
+        n.biases[k] = options.randomClamped();
+      }
       if (nexts.length < options.population) {
         nexts.push(n);
+        origins.push({origin: 'random', parents: [], mutations: []});
+      }
+    }
+
+    const nbChild = options.nbChild > 0 ? options.nbChild : 1;
+
+    if (options.selection !== 'triangular') {
+      while (true) {
+        // Create the children of selected parents.
+        const children = this.breed(
+          Selection[options.selection](genomes, options),
+          Selection[options.selection](genomes, options),
+          nbChild);
+        for (const c in children) {
+          nexts.push(children[c].network);
+          origins.push(Generation.origin(children[c]));
+          if (nexts.length >= options.population) {
+            return nexts;
+          }
+        }
       }
     }
 
@@ -458,10 +1570,11 @@ class Generation {
     while (true) {
       for (let i = 0; i < max; i++) {
         // Create the children and push them to the nexts array.
-        const children = this.breed(this.genomes[i], this.genomes[max],
-          (options.nbChild > 0 ? options.nbChild : 1));
+        const children = this.breed(genomes[i], genomes[max],
+          nbChild);
         for (const c in children) {
           nexts.push(children[c].network);
+          origins.push(Generation.origin(children[c]));
           if (nexts.length >= options.population) {
             // Return once number of children is equal to the
             // population by generation value
@@ -470,11 +1583,26 @@ class Generation {
         }
       }
       max++;
-      if (max >= this.genomes.length - 1) {
+      // The worst Genome only breeds when it is one of two.
+      if (max >= Math.max(2, genomes.length - 1)) {
         max = 0;
       }
     }
   };
+
+  /**
+   * Origin of a child bred by breed().
+   *
+   * @param child Child data.
+   * @return {origin, parents, mutations} Origin (see Chronicle).
+   */
+  static origin(child) {
+    return {
+      origin: 'crossover',
+      parents: child.parents,
+      mutations: child.mutations,
+    };
+  }
 }
 
 class Generations {
@@ -484,8 +1612,10 @@ class Generations {
    * Hold's previous Generations and current Generation.
    *
    * @constructor
+   * @param options Options of the BirdBrain.
    */
-  constructor() {
+  constructor(options) {
+    this.options = options;
     this.generations = [];
     // const currentGeneration = new Generation();
   }
@@ -496,11 +1626,12 @@ class Generations {
    * @return [] First Generation.
    */
   firstGeneration() {
+    const options = this.options;
     const out = [];
 
     for (let i = 0; i < options.population; i++) {
       // Generate the Network and save it.
-      const nn = new Network();
+      const nn = new Network(options);
 
       nn.perceptronGeneration(options.network[0],
         options.network[1],
@@ -509,7 +1640,7 @@ class Generations {
       out.push(nn.getSave());
     }
 
-    this.generations.push(new Generation());
+    this.generations.push(new Generation(options));
 
     return out;
   };
@@ -527,7 +1658,7 @@ class Generations {
 
     const gen = this.generations[this.generations.length - 1]
       .generateNextGeneration();
-    this.generations.push(new Generation());
+    this.generations.push(new Generation(this.options));
 
     return gen;
   }
@@ -545,3 +1676,51 @@ class Generations {
     return this.generations[this.generations.length - 1].addGenome(genome);
   };
 }
+
+BirdBrain.defaults = gaDefaults;
+
+/**
+ * Neuroevolution engines the engine option can pick by name.
+ *
+ * Every engine provides the nextGeneration()/networkScore() contract of
+ * BirdBrain, so a Simulation runs any of them.
+ */
+const Engines = {
+  ga: BirdBrain,
+};
+
+/**
+ * Create a brain of the engine named by the engine option.
+ *
+ * @param options Options of the brain, engine included ('ga' if omitted).
+ * @return BirdBrain - Brain of the requested engine.
+ */
+const createBrain = function (options) {
+  const engine = (options && options.engine) || 'ga';
+
+  if (!Engines.hasOwnProperty(engine)) {
+    throw new Error(`BirdBrain: unknown engine "${engine}".`);
+  }
+
+  return new Engines[engine](options);
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Activations,
+    gaDefaults,
+    Fitness,
+    Selection,
+    Crossover,
+    Mutations,
+    BirdBrain,
+    Neuron,
+    Layer,
+    Network,
+    Genome,
+    Generation,
+    Generations,
+    Engines,
+    createBrain,
+  };
+}
@@ -0,0 +1,279 @@
+class Chronicle {
+  /**
+   * Chronicle class.
+   *
+   * What a BirdBrain remembers of its past generations, whatever the whole
+   * Generations it keeps (historic option): a score summary of every
+   * Generation, and the genealogy of its Genomes.
+   *
+   * Every network bred gets an id, carried by its network data, and an
+   * entry: {id, generation, origin, parents, mutations, score}. Origin is
+   * 'elite' (copy of its parent), 'crossover' (child of its parents,
+   * mutated, a single one for some children of the neat engine), 'random'
+   * (new network, parents empty) or 'immigrant' (from another island, see
+   * Islands). Mutations lists the [genes, index, change] of every gene its
+   * breeding mutated, e.g. ['weights', 3, 0.12]. Score is null until it is
+   * flown.
+   *
+   * Retention (options of the BirdBrain): the genealogy of the last
+   * genealogy Generations is kept (-1 for all), along with the ancestors of
+   * the best Genome, and the summaries of the last summaries ones.
+   *
+   * @constructor
+   * @param options Options of the BirdBrain.
+   */
+  constructor(options) {
+    this.options = options;
+    this.entries = {}; // Genealogy, by id.
+    this.summaries = []; // {generation, fitness, scores} of every
+    // Generation, oldest first, its scores best first.
+    this.nextId = 1;
+  }
+
+  /**
+   * Give ids to the networks of a new Generation and record how they were
+   * bred.
+   *
+   * @param networks Network data of the Generation.
+   * @param origins {origin, parents (network data), mutations} of each one
+   * (see Generation.generateNextGeneration()), random networks if omitted.
+   * @param generation Number of the Generation.
+   * @return void
+   */
+  born(networks, origins, generation) {
+    networks.forEach((network, i) => {
+      const origin = origins && origins[i] ?
+        origins[i] :
+        {origin: 'random', parents: [], mutations: []};
+
+      network.id = this.add({
+        generation: generation,
+        origin: origin.origin,
+        parents: origin.parents
+          .map((parent) => parent.id)
+          .filter((id) => id !== undefined),
+        mutations: origin.mutations,
+        score: null,
+      });
+    });
+  }
+
+  /**
+   * Record a network coming from another Chronicle (e.g. another island),
+   * giving it an id of this one.
+   *
+   * @param network Network data, given its new id.
+   * @param score Score it had.
+   * @param generation Number of the Generation it joins.
+   * @return void
+   */
+  adopt(network, score, generation) {
+    network.id = this.add({
+      generation: generation,
+      origin: 'immigrant',
+      parents: [],
+      mutations: [],
+      score: score,
+    });
+  }
+
+  /**
+   * Add an entry.
+   *
+   * @param entry Entry without its id.
+   * @return Number - Id of the entry.
+   */
+  add(entry) {
+    const id = this.nextId++;
+
+    this.entries[id] = Object.assign({id: id}, entry);
+
+    return id;
+  }
+
+  /**
+   * Record the score of a network.
+   *
+   * @param id Id of the network.
+   * @param score Its score.
+   * @return void
+   */
+  scored(id, score) {
+    if (this.entries[id] && this.entries[id].score === null) {
+      this.entries[id].score = score;
+    }
+  }
+
+  /**
+   * Keep the summary of a scored Generation, and forget what is past the
+   * retention.
+   *
+   * @param generation Number of the Generation.
+   * @param scored Scored Generation.
+   * @param best Id of the best network ever scored (its ancestors are
+   * kept).
+   * @return void
+   */
+  record(generation, scored, best) {
+    const options = this.options;
+
+    this.summaries.push({
+      generation: generation,
+      fitness: scored.fitness,
+      scores: scored.genomes.map((genome) => genome.score),
+    });
+    if (options.summaries !== -1 &&
+      this.summaries.length > options.summaries) {
+      this.summaries.splice(0, this.summaries.length - options.summaries);
+    }
+
+    if (options.genealogy === -1) {
+      return;
+    }
+
+    // Entries of the Generation being bred are kept too.
+    const oldest = generation - options.genealogy + 1;
+    const kept = {};
+
+    for (const entry of this.ancestors(best)) {
+      kept[entry.id] = true;
+    }
+
+    for (const id in this.entries) {
+      if (this.entries[id].generation < oldest && !kept[id]) {
+        delete this.entries[id];
+      }
+    }
+  }
+
+  /**
+   * Entry of a network.
+   *
+   * @param id Id of the network.
+   * @return Object - Entry, null if unknown or forgotten.
+   */
+  get(id) {
+    return this.entries[id] || null;
+  }
+
+  /**
+   * Entries of the parents of a network.
+   *
+   * @param id Id of the network.
+   * @return [Object] - Entries of the parents still kept.
+   */
+  parents(id) {
+    const entry = this.get(id);
+
+    return entry ?
+      entry.parents.map((parent) => this.get(parent))
+        .filter((parent) => parent) :
+      [];
+  }
+
+  /**
+   * Entries of the children of a network.
+   *
+   * @param id Id of the network.
+   * @return [Object] - Entries of the networks bred from it.
+   */
+  children(id) {
+    return this.query((entry) => entry.parents.includes(Number(id)));
+  }
+
+  /**
+   * Entries of a network and of its ancestors, each one once.
+   *
+   * @param id Id of the network.
+   * @param depth Generations to go back at most (all if omitted).
+   * @return [Object] - Entries, the network first, then by generation,
+   * newest first.
+   */
+  ancestors(id, depth) {
+    const root = this.get(id);
+
+    if (!root) {
+      return [];
+    }
+
+    const found = {[root.id]: root};
+    let front = [root];
+
+    for (let level = 0; front.length > 0 &&
+      (depth === undefined || level < depth); level++) {
+      const next = [];
+
+      for (const entry of front) {
+        for (const parent of this.parents(entry.id)) {
+          if (!found[parent.id]) {
+            found[parent.id] = parent;
+            next.push(parent);
+          }
+        }
+      }
+      front = next;
+    }
+
+    return Object.keys(found).map((key) => found[key])
+      .sort((a, b) => (a === root ? -1 : b === root ? 1 :
+        b.generation - a.generation || a.id - b.id));
+  }
+
+  /**
+   * Entries matching a filter.
+   *
+   * @param filter Function of an entry, or values the entries must have,
+   * e.g. {generation: 3, origin: 'elite'}.
+   * @return [Object] - Entries, oldest first.
+   */
+  query(filter) {
+    const test = typeof filter === 'function' ?
+      filter :
+      (entry) => Object.keys(filter || {})
+        .every((key) => entry[key] === filter[key]);
+
+    return Object.keys(this.entries).map((id) => this.entries[id])
+      .filter(test)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Score summary of a Generation.
+   *
+   * @param generation Number of the Generation.
+   * @return {generation, fitness, scores} - Summary, null if not kept.
+   */
+  summary(generation) {
+    return this.summaries.find((summary) =>
+      summary.generation === generation) || null;
+  }
+
+  /**
+   * Create a copy of the Chronicle.
+   *
+   * @return {nextId, entries, summaries} Chronicle data.
+   */
+  getSave() {
+    return JSON.parse(JSON.stringify({
+      nextId: this.nextId,
+      entries: this.entries,
+      summaries: this.summaries,
+    }));
+  }
+
+  /**
+   * Apply Chronicle data.
+   *
+   * @param save Copy of Chronicle data (see getSave()), or null for none.
+   * @return void
+   */
+  setSave(save) {
+    this.nextId = save ? save.nextId : 1;
+    this.entries = save ? save.entries : {};
+    this.summaries = save ? save.summaries : [];
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Chronicle};
+}
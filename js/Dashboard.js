@@ -0,0 +1,183 @@
+class Dashboard {
+  /**
+   * Dashboard class.
+   *
+   * Line charts of the per-Generation stats of a BirdBrain (scores, pipes
+   * passed and weight diversity), drawn on their own canvas.
+   *
+   * @constructor
+   * @param canvas Canvas to draw the charts on.
+   * @param brain BirdBrain recording the stats.
+   * @param summary Element showing the stats of the last Generation.
+   */
+  constructor(canvas, brain, summary) {
+    this.canvas = canvas;
+    this.summary = summary;
+    this.ctx = canvas.getContext('2d');
+    this.brain = brain;
+    this.drawn = -1; // Number of stats rows on the canvas.
+  }
+
+  /**
+   * Redraw the charts if a Generation was recorded since the last time.
+   *
+   * @return void
+   */
+  update() {
+    if (this.brain.stats.length !== this.drawn) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Draw every chart.
+   *
+   * @return void
+   */
+  draw() {
+    const rows = this.brain.stats;
+    const width = this.canvas.width;
+    const height = (this.canvas.height - 20) / 3;
+
+    this.drawn = rows.length;
+    this.ctx.clearRect(0, 0, width, this.canvas.height);
+
+    this.chart(0, 'Score', rows, [
+      {key: 'best', color: '#2E7D32'},
+      {key: 'mean', color: '#06C1DE'},
+      {key: 'median', color: '#F7A046'},
+      {key: 'worst', color: '#C62828'},
+    ], height);
+    this.chart(height + 10, 'Pipes passed', rows, [
+      {key: 'pipes', color: '#2E7D32'},
+    ], height);
+    this.chart(height * 2 + 20, 'Weight diversity', rows, [
+      {key: 'diversity', color: '#5D93FF'},
+    ], height);
+
+    if (this.summary && rows.length > 0) {
+      const last = rows[rows.length - 1];
+
+      this.summary.textContent = `Generation ${last.generation} ` +
+        `(${last.fitness}): best ${Dashboard.format(last.best)}, ` +
+        `mean ${Dashboard.format(last.mean)}, ` +
+        `median ${Dashboard.format(last.median)}, ` +
+        `worst ${Dashboard.format(last.worst)}, ${last.pipes} pipes, ` +
+        `${last.duration === null ? '?' : last.duration / 1000}s`;
+    }
+  }
+
+  /**
+   * Draw one line chart.
+   *
+   * @param top Top of the chart on the canvas.
+   * @param title Title of the chart.
+   * @param rows Stats of the Generations.
+   * @param series Lines to draw ({key, color}).
+   * @param height Height of the chart.
+   * @return void
+   */
+  chart(top, title, rows, series, height) {
+    const ctx = this.ctx;
+    const left = 40;
+    const width = this.canvas.width - left - 10;
+    const plotTop = top + 18;
+    const plotHeight = height - 30;
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (const row of rows) {
+      for (const line of series) {
+        min = Math.min(min, row[line.key]);
+        max = Math.max(max, row[line.key]);
+      }
+    }
+
+    if (rows.length === 0) {
+      min = 0;
+      max = 1;
+    } else if (min === max) {
+      max = min + 1;
+    }
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(left, plotTop, width, plotHeight);
+    ctx.strokeStyle = '#CCCCCC';
+    ctx.strokeRect(left, plotTop, width, plotHeight);
+
+    ctx.fillStyle = '#333333';
+    ctx.font = '13px Oswald, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(title, left, top + 13);
+
+    ctx.textAlign = 'right';
+    ctx.fillText(Dashboard.format(max), left - 4, plotTop + 10);
+    ctx.fillText(Dashboard.format(min), left - 4, plotTop + plotHeight);
+    if (rows.length > 0) {
+      ctx.fillText(`gen ${rows[rows.length - 1].generation}`,
+        left + width, plotTop + plotHeight + 12);
+    }
+
+    // Legend.
+    let x = left + width;
+    for (let i = series.length - 1; i >= 0; i--) {
+      ctx.fillStyle = series[i].color;
+      ctx.fillText(series[i].key, x, top + 13);
+      x -= ctx.measureText(series[i].key).width + 10;
+    }
+
+    for (const line of series) {
+      ctx.strokeStyle = line.color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+
+      rows.forEach((row, i) => {
+        const px = left + (rows.length === 1 ?
+          width / 2 :
+          i * width / (rows.length - 1));
+        const py = plotTop + plotHeight -
+          (row[line.key] - min) / (max - min) * plotHeight;
+
+        if (i === 0) {
+          ctx.moveTo(px, py);
+        } else {
+          ctx.lineTo(px, py);
+        }
+      });
+
+      ctx.stroke();
+    }
+
+    ctx.lineWidth = 1;
+  }
+
+  /**
+   * Let the browser download the stats.
+   *
+   * @param type 'csv' or 'json'.
+   * @return void
+   */
+  download(type) {
+    if (type === 'csv') {
+      Snapshot.downloadText(Stats.csv(this.brain.stats), 'stats.csv',
+        'text/csv');
+    } else {
+      Snapshot.downloadText(Stats.json(this.brain.stats), 'stats.json',
+        'application/json');
+    }
+  }
+
+  /**
+   * Short label of an axis bound.
+   *
+   * @param value Number.
+   * @return String - Label.
+   */
+  static format(value) {
+    if (Math.abs(value) >= 1000) {
+      return `${Math.round(value / 100) / 10}k`;
+    }
+
+    return String(Math.round(value * 100) / 100);
+  }
+}
@@ -0,0 +1,778 @@
+const dqnDefaults = {
+  engine: 'dqn', // Learning engine (see Engines).
+  activation: 'relu', // Activation of the hidden layers (name of one of
+  // the Mlp.derivatives).
+  seed: null, // Seed of the random generator (null picks a random one).
+  sensors: null, // Sensors feeding the input layer in a Simulation.
+  network: [2, [32, 32], 2], // Q-network structure: the outputs are the
+  // values of flapping and of gliding. Layers may be {neurons, activation},
+  // the output layer is linear unless it picks one.
+  population: 1, // Birds flying every episode, all learning into the
+  // same Q-network.
+  fitness: 'frames', // Score of an episode in the stats (see Fitness).
+  scoreSort: -1, // Sort order (-1 = desc, 1 = asc).
+
+  // Rewards.
+  aliveReward: 0.1, // Reward of every frame survived.
+  crashReward: -1, // Reward of the crash ending an episode.
+  gamma: 0.99, // Discount of the future rewards.
+
+  // Exploration.
+  epsilonStart: 1, // Chance to take a random action at first.
+  epsilonEnd: 0.01, // Chance to take a random action in the end.
+  epsilonDecay: 30000, // Frames to go from epsilonStart to epsilonEnd.
+  randomFlap: 0.1, // Chance for a random action to be a flap (flapping
+  // every other frame only hits the ceiling).
+
+  // Learning.
+  learningRate: 0.0002, // Step size of Adam.
+  replaySize: 200000, // Transitions kept in the experience replay.
+  batchSize: 32, // Transitions sampled by every learning step.
+  warmup: 1000, // Transitions gathered before learning.
+  trainInterval: 1, // Frames between two learning steps.
+  targetInterval: 10000, // Frames between two copies of the Q-network into
+  // the target network.
+};
+
+class Mlp {
+  /**
+   * Mlp class.
+   *
+   * Fully connected network with gradients: forward(), backward() to add
+   * the gradients of an output error, then step() to apply them with Adam.
+   * Its save is the network data of a Network, so any BirdBrain can fly it.
+   *
+   * @constructor
+   * @param neurons Number of neurons of every layer.
+   * @param activations Activation of every layer but the input one (names of
+   * Mlp.derivatives).
+   * @param random Random generator of the initial weights (none to leave
+   * them at 0).
+   */
+  constructor(neurons, activations, random) {
+    this.neurons = neurons.slice();
+    this.activations = activations.slice();
+    this.weights = []; // By layer: weight of input k of neuron j at j*in+k.
+    this.biases = [];
+    this.values = [new Float64Array(neurons[0])]; // Outputs of every layer.
+    this.gradients = [];
+    this.moments = []; // Adam first and second moments of every parameter.
+    this.steps = 0; // Adam steps taken.
+
+    for (let l = 1; l < neurons.length; l++) {
+      const inputs = neurons[l - 1];
+      const weights = new Float64Array(neurons[l] * inputs);
+      // Glorot uniform initialization.
+      const limit = Math.sqrt(6 / (inputs + neurons[l]));
+
+      if (random) {
+        for (let i = 0; i < weights.length; i++) {
+          weights[i] = random.range(-limit, limit);
+        }
+      }
+
+      this.weights.push(weights);
+      this.biases.push(new Float64Array(neurons[l]));
+      this.values.push(new Float64Array(neurons[l]));
+      this.gradients.push({
+        weights: new Float64Array(weights.length),
+        biases: new Float64Array(neurons[l]),
+        deltas: new Float64Array(neurons[l]),
+      });
+      this.moments.push({
+        weights: [new Float64Array(weights.length),
+          new Float64Array(weights.length)],
+        biases: [new Float64Array(neurons[l]), new Float64Array(neurons[l])],
+      });
+    }
+  }
+
+  /**
+   * Compute the output of an input, keeping the value of every layer for
+   * backward().
+   *
+   * @param inputs Set of inputs.
+   * @return Float64Array - Output (overwritten by the next forward()).
+   */
+  forward(inputs) {
+    this.values[0].set(inputs);
+
+    for (let l = 1; l < this.neurons.length; l++) {
+      const input = this.values[l - 1];
+      const output = this.values[l];
+      const weights = this.weights[l - 1];
+      const biases = this.biases[l - 1];
+      const activate = Activations[this.activations[l - 1]];
+      const count = input.length;
+
+      for (let j = 0; j < output.length; j++) {
+        let sum = biases[j];
+
+        for (let k = 0; k < count; k++) {
+          sum += weights[j * count + k] * input[k];
+        }
+        output[j] = activate(sum);
+      }
+    }
+
+    return this.values[this.values.length - 1];
+  }
+
+  /**
+   * Add the gradients of the last forward() given the error gradient of its
+   * output.
+   *
+   * @param errors Gradient of the loss by every output.
+   * @return void
+   */
+  backward(errors) {
+    for (let l = this.neurons.length - 1; l >= 1; l--) {
+      const gradients = this.gradients[l - 1];
+      const deltas = gradients.deltas;
+      const output = this.values[l];
+      const input = this.values[l - 1];
+      const weights = this.weights[l - 1];
+      const derivative = Mlp.derivatives[this.activations[l - 1]];
+      const count = input.length;
+
+      for (let j = 0; j < output.length; j++) {
+        let error = 0;
+
+        if (l === this.neurons.length - 1) {
+          error = errors[j];
+        } else {
+          const next = this.gradients[l];
+          const nextWeights = this.weights[l];
+
+          for (let i = 0; i < next.deltas.length; i++) {
+            error += next.deltas[i] * nextWeights[i * output.length + j];
+          }
+        }
+
+        deltas[j] = error * derivative(output[j]);
+      }
+
+      for (let j = 0; j < output.length; j++) {
+        gradients.biases[j] += deltas[j];
+        for (let k = 0; k < count; k++) {
+          gradients.weights[j * count + k] += deltas[j] * input[k];
+        }
+      }
+    }
+  }
+
+  /**
+   * Apply the added gradients with Adam, then clear them.
+   *
+   * @param rate Learning rate.
+   * @return void
+   */
+  step(rate) {
+    const beta1 = 0.9;
+    const beta2 = 0.999;
+
+    this.steps++;
+    const correction1 = 1 - Math.pow(beta1, this.steps);
+    const correction2 = 1 - Math.pow(beta2, this.steps);
+
+    for (let l = 0; l < this.weights.length; l++) {
+      for (const key of ['weights', 'biases']) {
+        const params = this[key][l];
+        const gradients = this.gradients[l][key];
+        const [m, v] = this.moments[l][key];
+
+        for (let i = 0; i < params.length; i++) {
+          const g = gradients[i];
+
+          m[i] = beta1 * m[i] + (1 - beta1) * g;
+          v[i] = beta2 * v[i] + (1 - beta2) * g * g;
+          params[i] -= rate * (m[i] / correction1) /
+            (Math.sqrt(v[i] / correction2) + 1e-8);
+          gradients[i] = 0;
+        }
+      }
+    }
+  }
+
+  /**
+   * Copy the weights and biases of another Mlp of the same structure.
+   *
+   * @param other Mlp to copy.
+   * @return void
+   */
+  copy(other) {
+    for (let l = 0; l < this.weights.length; l++) {
+      this.weights[l].set(other.weights[l]);
+      this.biases[l].set(other.biases[l]);
+    }
+  }
+
+  /**
+   * Network data of the Mlp (see Network.getSave()).
+   *
+   * @return {neurons, weights, biases, activations} Network data.
+   */
+  getSave() {
+    const save = {
+      neurons: this.neurons.slice(),
+      weights: [],
+      biases: [],
+      activations: [null].concat(this.activations),
+    };
+
+    for (let l = 0; l < this.weights.length; l++) {
+      save.weights.push(...this.weights[l]);
+      save.biases.push(...this.biases[l]);
+    }
+
+    return save;
+  }
+
+  /**
+   * Apply network data of the same structure.
+   *
+   * @param save Network data (see getSave()).
+   * @return void
+   */
+  setSave(save) {
+    let weights = 0;
+    let biases = 0;
+
+    for (let l = 0; l < this.weights.length; l++) {
+      for (let i = 0; i < this.weights[l].length; i++) {
+        this.weights[l][i] = save.weights[weights++];
+      }
+      for (let i = 0; i < this.biases[l].length; i++) {
+        this.biases[l][i] = save.biases ? save.biases[biases++] : 0;
+      }
+    }
+  }
+}
+
+// Derivative of every activation Mlp can learn through, from its output.
+Mlp.derivatives = {
+  sigmoid: (y) => y * (1 - y),
+  tanh: (y) => 1 - y * y,
+  relu: (y) => y > 0 ? 1 : 0,
+  leakyRelu: (y) => y > 0 ? 1 : 0.01,
+  linear: () => 1,
+};
+
+class DqnAgent {
+  /**
+   * DqnAgent class.
+   *
+   * Deep Q-learning: a Q-network estimates the discounted rewards of
+   * flapping and of gliding from the sensors. Transitions go to an
+   * experience replay, and every trainInterval frames a batch sampled from
+   * it moves the Q-network toward the reward plus the discounted value of
+   * the next state, as a target network (a copy refreshed every
+   * targetInterval frames) values it (double DQN, Huber loss).
+   *
+   * @constructor
+   * @param options Options of the DqnBrain (random generator included).
+   */
+  constructor(options) {
+    const layers = [options.network[0]].concat(options.network[1],
+      [options.network[2]]);
+    const neurons = layers.map((layer) =>
+      typeof layer === 'object' ? layer.neurons : layer);
+    const activations = layers.slice(1).map((layer, i) =>
+      (typeof layer === 'object' && layer.activation) ||
+      (i === layers.length - 2 ? 'linear' : options.activation));
+
+    this.options = options;
+    this.online = new Mlp(neurons, activations, options.random);
+    this.target = new Mlp(neurons, activations);
+    this.target.copy(this.online);
+    this.steps = 0; // Transitions seen.
+    this.loss = 0; // Mean loss of the learning steps since the last reset.
+    this.losses = 0; // Learning steps in loss.
+
+    const size = options.replaySize;
+    this.memory = {
+      states: new Float64Array(size * neurons[0]),
+      actions: new Uint8Array(size),
+      rewards: new Float64Array(size),
+      nexts: new Float64Array(size * neurons[0]),
+      ends: new Uint8Array(size),
+      size: 0, // Transitions stored.
+      next: 0, // Slot of the next one.
+    };
+  }
+
+  /**
+   * Chance to take a random action now.
+   *
+   * @return Number - Between epsilonEnd and epsilonStart.
+   */
+  epsilon() {
+    const options = this.options;
+    const progress = options.epsilonDecay > 0 ?
+      Math.min(1, this.steps / options.epsilonDecay) :
+      1;
+
+    return options.epsilonStart +
+      (options.epsilonEnd - options.epsilonStart) * progress;
+  }
+
+  /**
+   * Pick an action: random with the epsilon chance (a flap with the
+   * randomFlap one), else the one of highest value.
+   *
+   * @param state Sensor inputs.
+   * @param greedy Whether to never explore.
+   * @return Number - Index of the action (0 flaps, 1 glides).
+   */
+  act(state, greedy) {
+    if (!greedy && this.options.random.next() < this.epsilon()) {
+      return this.options.random.next() < this.options.randomFlap ? 0 : 1;
+    }
+
+    const values = this.online.forward(state);
+
+    return values[0] >= values[1] ? 0 : 1;
+  }
+
+  /**
+   * Store a transition, and learn when it is time to.
+   *
+   * @param state Inputs before the action.
+   * @param action Index of the action.
+   * @param reward Reward it earned.
+   * @param next Inputs after the action.
+   * @param end Whether it ended the episode.
+   * @return void
+   */
+  remember(state, action, reward, next, end) {
+    const memory = this.memory;
+    const inputs = this.online.neurons[0];
+    const slot = memory.next;
+
+    memory.states.set(state, slot * inputs);
+    memory.nexts.set(next, slot * inputs);
+    memory.actions[slot] = action;
+    memory.rewards[slot] = reward;
+    memory.ends[slot] = end ? 1 : 0;
+    memory.next = (slot + 1) % this.options.replaySize;
+    memory.size = Math.min(memory.size + 1, this.options.replaySize);
+
+    this.steps++;
+
+    if (this.steps >= this.options.warmup &&
+      memory.size >= this.options.batchSize &&
+      this.steps % this.options.trainInterval === 0) {
+      this.learn();
+    }
+
+    if (this.steps % this.options.targetInterval === 0) {
+      this.target.copy(this.online);
+    }
+  }
+
+  /**
+   * One learning step on a batch sampled from the experience replay.
+   *
+   * @return void
+   */
+  learn() {
+    const options = this.options;
+    const memory = this.memory;
+    const inputs = this.online.neurons[0];
+    const errors = [0, 0];
+    let loss = 0;
+
+    for (let b = 0; b < options.batchSize; b++) {
+      const i = Math.floor(options.random.next() * memory.size);
+      const state = memory.states.subarray(i * inputs, (i + 1) * inputs);
+      const next = memory.nexts.subarray(i * inputs, (i + 1) * inputs);
+      const action = memory.actions[i];
+      let target = memory.rewards[i];
+
+      if (!memory.ends[i]) {
+        // The Q-network picks the next action, the target network values it.
+        const values = this.online.forward(next);
+        const best = values[0] >= values[1] ? 0 : 1;
+
+        target += options.gamma * this.target.forward(next)[best];
+      }
+
+      const error = this.online.forward(state)[action] - target;
+
+      loss += Math.abs(error) <= 1 ?
+        error * error / 2 :
+        Math.abs(error) - 0.5;
+      errors[action] = Math.max(-1, Math.min(1, error)) / options.batchSize;
+      errors[1 - action] = 0;
+      this.online.backward(errors);
+    }
+
+    this.online.step(options.learningRate);
+    this.loss += (loss / options.batchSize - this.loss) / ++this.losses;
+  }
+
+  /**
+   * Copy of the agent state, experience replay excluded.
+   *
+   * @return {network, target, steps} Agent data.
+   */
+  getSave() {
+    return {
+      network: this.online.getSave(),
+      target: this.target.getSave(),
+      steps: this.steps,
+    };
+  }
+
+  /**
+   * Apply agent data (see getSave()).
+   *
+   * @param save Agent data.
+   * @return void
+   */
+  setSave(save) {
+    this.online.setSave(save.network);
+    this.target.setSave(save.target || save.network);
+    this.steps = save.steps || 0;
+  }
+}
+
+class DqnNetwork {
+  /**
+   * DqnNetwork class.
+   *
+   * What a bird flies with during an episode: every compute() stores the
+   * transition of the previous frame into the agent and picks the next
+   * action. The output flaps (shouldFlap()) when the action is to.
+   *
+   * @constructor
+   * @param agent DqnAgent learning from the bird.
+   */
+  constructor(agent) {
+    this.agent = agent;
+    this.state = null; // Inputs of the last action.
+    this.action = 0;
+  }
+
+  /**
+   * Learn from the last frame survived and pick the next action.
+   *
+   * @param inputs - Set of inputs.
+   * @return [] - [1, 0] to flap, [0, 1] to glide.
+   */
+  compute(inputs) {
+    if (this.state) {
+      this.agent.remember(this.state, this.action,
+        this.agent.options.aliveReward, inputs, false);
+    }
+
+    this.state = inputs.slice();
+    this.action = this.agent.act(inputs);
+
+    return this.action === 0 ? [1, 0] : [0, 1];
+  }
+
+  /**
+   * Learn from the end of the episode: the crash of the bird, or a frame
+   * limit stopping it alive. The last action of a bird stopped alive did not
+   * lead anywhere yet, so it is left out rather than punished.
+   *
+   * @param survived Whether the bird was stopped alive.
+   * @return void
+   */
+  end(survived) {
+    if (this.state && !survived) {
+      this.agent.remember(this.state, this.action,
+        this.agent.options.crashReward, this.state, true);
+    }
+    this.state = null;
+  }
+
+  /**
+   * Network data of the Q-network as it is now.
+   *
+   * @return {neurons, weights, biases, activations} Network data.
+   */
+  getSave() {
+    return this.agent.online.getSave();
+  }
+
+  /**
+   * Layers of the Q-network, valued on the last inputs, to draw it.
+   *
+   * @return [Layer] - Layers of a Network.
+   */
+  get layers() {
+    const network = new Network(this.agent.options);
+
+    network.setSave(this.getSave());
+    if (this.state) {
+      network.compute(this.state);
+    }
+
+    return network.layers;
+  }
+}
+
+class DqnGeneration extends Generation {
+  /**
+   * DqnGeneration class.
+   *
+   * Episode of the birds of a DqnBrain, with the state of the learning
+   * when it ended.
+   *
+   * @constructor
+   * @param options DQN options.
+   */
+  constructor(options) {
+    super(options);
+    this.steps = 0; // Transitions seen by the agent.
+    this.epsilon = 0; // Exploration chance.
+    this.loss = 0; // Mean loss of the learning steps of the episode.
+  }
+
+  stats() {
+    return Object.assign(super.stats(), {
+      steps: this.steps,
+      epsilon: this.epsilon,
+      loss: this.loss,
+    });
+  }
+}
+
+class DqnBrain extends BirdBrain {
+  /**
+   * DqnBrain class.
+   *
+   * Reinforcement learning instead of evolution: a DqnAgent learns while
+   * the birds fly, from the same sensors and the same flap decision as the
+   * evolved networks. Every generation is an episode (one course per bird),
+   * its Genomes the Q-network as each bird left it, greedy copies of which
+   * fly as plain Networks once saved.
+   *
+   * Same nextGeneration()/networkScore() contract as BirdBrain.
+   *
+   * @constructor
+   * @param options An object of DQN options (see dqnDefaults).
+   */
+  constructor(options) {
+    super(options);
+    this.agent = null; // Created on the first episode, once the sensors
+    // set the size of the input layer.
+  }
+
+  /**
+   * Check the DQN options.
+   *
+   * @param options Options to check.
+   * @return void
+   */
+  validate(options) {
+    const rates = ['gamma', 'epsilonStart', 'epsilonEnd', 'randomFlap'];
+    const integers = ['replaySize', 'batchSize', 'trainInterval',
+      'targetInterval'];
+
+    // Ranking strategies and behaviors are the ones of the ga engine.
+    if ((options.strategy !== undefined && options.strategy !== 'fitness') ||
+      options.behavior !== undefined) {
+      throw new Error('DqnBrain: only the ga engine ranks by strategy and ' +
+        'behavior.');
+    }
+
+    if (!(Number.isInteger(options.population) && options.population >= 1)) {
+      throw new Error('DqnBrain: population must be a positive integer.');
+    }
+
+    for (const rate of rates) {
+      if (!(options[rate] >= 0 && options[rate] <= 1)) {
+        throw new Error(`DqnBrain: ${rate} must be between 0 and 1.`);
+      }
+    }
+
+    for (const integer of integers) {
+      if (!(Number.isInteger(options[integer]) && options[integer] >= 1)) {
+        throw new Error(`DqnBrain: ${integer} must be a positive integer.`);
+      }
+    }
+
+    if (options.batchSize > options.replaySize) {
+      throw new Error('DqnBrain: batchSize must not exceed replaySize.');
+    }
+
+    if (!(Number.isInteger(options.warmup) && options.warmup >= 0) ||
+      !(Number.isInteger(options.epsilonDecay) && options.epsilonDecay >= 0)) {
+      throw new Error('DqnBrain: warmup and epsilonDecay must be integers ' +
+        'of at least 0.');
+    }
+
+    if (!(options.learningRate > 0)) {
+      throw new Error('DqnBrain: learningRate must be positive.');
+    }
+
+    if (typeof options.aliveReward !== 'number' ||
+      typeof options.crashReward !== 'number') {
+      throw new Error('DqnBrain: aliveReward and crashReward must be ' +
+        'numbers.');
+    }
+
+    if (!Array.isArray(options.network) || options.network.length !== 3 ||
+      !Array.isArray(options.network[1])) {
+      throw new Error('DqnBrain: network must be [input, [hidden], 2].');
+    }
+
+    const output = options.network[2];
+    if ((typeof output === 'object' ? output.neurons : output) !== 2) {
+      throw new Error('DqnBrain: the network needs 2 outputs (flap and ' +
+        'glide).');
+    }
+
+    const layers = options.network[1].concat([output]);
+    for (const layer of layers) {
+      const activation = typeof layer === 'object' && layer.activation;
+
+      if (activation && !Mlp.derivatives.hasOwnProperty(activation)) {
+        throw new Error(`DqnBrain: unknown activation "${activation}".`);
+      }
+    }
+
+    if (!Mlp.derivatives.hasOwnProperty(options.activation)) {
+      throw new Error(
+        `DqnBrain: unknown activation "${options.activation}".`);
+    }
+
+    if (typeof options.fitness === 'string' &&
+      !Fitness.hasOwnProperty(options.fitness)) {
+      throw new Error(`DqnBrain: unknown fitness "${options.fitness}".`);
+    }
+  }
+
+  /**
+   * Greedy Network flying like the Q-network of a save.
+   *
+   * @param save Network data.
+   * @return Network - Network ready to compute.
+   */
+  createNetwork(save) {
+    const network = new Network(this.options);
+
+    network.setSave(save);
+
+    return network;
+  }
+
+  /**
+   * Start the next episode.
+   *
+   * @return Array DqnNetwork array, one per bird.
+   */
+  nextGeneration() {
+    const generations = this.generations.generations;
+
+    if (!this.agent) {
+      this.agent = new DqnAgent(this.options);
+    }
+
+    if (generations.length > 0) {
+      this.previous = generations[generations.length - 1];
+      this.previous.steps = this.agent.steps;
+      this.previous.epsilon = this.agent.epsilon();
+      this.previous.loss = this.agent.loss;
+      this.record(this.previous);
+    }
+
+    const generation = new DqnGeneration(this.options);
+    generations.push(generation);
+
+    // Only the current and the last scored Generations are kept.
+    if (generations.length > 2) {
+      generations.splice(0, generations.length - 2);
+    }
+
+    this.generation++;
+    generation.fitness = this.fitnessName();
+    this.agent.loss = 0;
+    this.agent.losses = 0;
+
+    const networks = [];
+    for (let i = 0; i < this.options.population; i++) {
+      networks.push(new DqnNetwork(this.agent));
+    }
+
+    return networks;
+  }
+
+  /**
+   * Learn from the end of the episode of a bird, then score it.
+   *
+   * @param network DqnNetwork of the bird.
+   * @param score Score value, or {frames, pipes, gapDistance, flaps}.
+   * @param cause 'crash' or 'survived' (see Simulation.kill()).
+   * @return void
+   */
+  networkScore(network, score, cause) {
+    if (network.end) {
+      network.end(cause === 'survived');
+    }
+
+    super.networkScore(network, score, cause);
+  }
+
+  /**
+   * Create a copy of the DqnBrain state: the BirdBrain data and the agent
+   * (its experience replay is not kept).
+   *
+   * @return Object - DqnBrain data.
+   */
+  getSave() {
+    return Object.assign(super.getSave(), {
+      agent: this.agent ? this.agent.getSave() : null,
+    });
+  }
+
+  /**
+   * Apply DqnBrain data. A save without an agent (e.g. a champion) starts
+   * learning from its best network.
+   *
+   * @param save - Copy of DqnBrain data (see getSave()).
+   * @return void
+   */
+  setSave(save) {
+    this.set(save.options);
+
+    if (save.random !== undefined) {
+      this.random.setState(save.random);
+    }
+
+    this.generations = new Generations(this.options);
+    this.generation = save.generation || 0;
+    this.previous = null;
+    this.best = save.best ?
+      new Genome(save.best.score, save.best.network, save.best.measures) :
+      null;
+    this.stats = save.stats || [];
+    this.agent = null;
+
+    if (save.agent) {
+      this.agent = new DqnAgent(this.options);
+      this.agent.setSave(save.agent);
+    } else if (this.best) {
+      this.agent = new DqnAgent(this.options);
+      this.agent.setSave({network: this.best.network});
+    }
+  }
+}
+
+DqnBrain.defaults = dqnDefaults;
+
+Engines.dqn = DqnBrain;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    dqnDefaults,
+    Mlp,
+    DqnAgent,
+    DqnNetwork,
+    DqnGeneration,
+    DqnBrain,
+  };
+}
@@ -0,0 +1,139 @@
+class FamilyTree {
+  /**
+   * FamilyTree class.
+   *
+   * Draws the ancestry of a network on its own canvas, from its Chronicle
+   * entries (see Chronicle.ancestors()): one column per generation, the
+   * oldest on the left and the network on the right, every entry a dot
+   * tinted by its origin and linked to its parents. Dots with a dark ring
+   * received mutations.
+   *
+   * @constructor
+   * @param canvas Canvas to draw the tree on.
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+  }
+
+  /**
+   * Draw the ancestry of a network.
+   *
+   * @param entries Entries of the network (first) and of its ancestors
+   * (empty or null clears the canvas).
+   * @param caption Text under the tree.
+   * @return void
+   */
+  draw(entries, caption) {
+    const ctx = this.ctx;
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    if (!entries || entries.length === 0) {
+      return;
+    }
+
+    const positions = this.layout(entries);
+
+    // Links, from every parent still known.
+    ctx.strokeStyle = 'rgba(51, 51, 51, 0.35)';
+    ctx.lineWidth = 1;
+
+    for (const entry of entries) {
+      for (const parent of entry.parents) {
+        if (positions[parent]) {
+          ctx.beginPath();
+          ctx.moveTo(positions[parent].x, positions[parent].y);
+          ctx.lineTo(positions[entry.id].x, positions[entry.id].y);
+          ctx.stroke();
+        }
+      }
+    }
+
+    // Entries, the network larger.
+    entries.forEach((entry, i) => {
+      const {x, y} = positions[entry.id];
+
+      ctx.fillStyle = FamilyTree.colors[entry.origin] || '#333333';
+      ctx.strokeStyle = '#333333';
+      ctx.lineWidth = entry.mutations.length > 0 ? 2 : 0.5;
+      ctx.beginPath();
+      ctx.arc(x, y, i === 0 ? 9 : 5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    ctx.font = '12px Oswald, sans-serif';
+    ctx.textBaseline = 'middle';
+
+    // Legend of the origins.
+    ctx.textAlign = 'left';
+    Object.keys(FamilyTree.colors).forEach((origin, i) => {
+      ctx.fillStyle = FamilyTree.colors[origin];
+      ctx.fillRect(4 + i * 80, 6, 10, 10);
+      ctx.fillStyle = '#333333';
+      ctx.fillText(origin, 18 + i * 80, 11);
+    });
+
+    ctx.textAlign = 'center';
+    for (const generation in this.columns) {
+      ctx.fillText(`#${generation}`, this.columns[generation],
+        this.canvas.height - 28);
+    }
+
+    if (caption) {
+      ctx.fillText(caption, this.canvas.width / 2, this.canvas.height - 10);
+    }
+
+    ctx.lineWidth = 1;
+  }
+
+  /**
+   * Position of every entry, one column per generation.
+   *
+   * @param entries Entries to draw.
+   * @return Object - {x, y} of every entry, by id.
+   */
+  layout(entries) {
+    const left = 20;
+    const right = this.canvas.width - 20;
+    const top = 30;
+    const bottom = this.canvas.height - 42;
+    const byGeneration = {};
+    const positions = {};
+
+    for (const entry of entries) {
+      (byGeneration[entry.generation] =
+        byGeneration[entry.generation] || []).push(entry);
+    }
+
+    const generations = Object.keys(byGeneration).map(Number)
+      .sort((a, b) => a - b);
+
+    this.columns = {}; // Abscissa of every generation.
+    generations.forEach((generation, i) => {
+      const x = generations.length === 1 ?
+        (left + right) / 2 :
+        left + i * (right - left) / (generations.length - 1);
+      const column = byGeneration[generation];
+
+      this.columns[generation] = x;
+      column.forEach((entry, j) => {
+        positions[entry.id] = {
+          x: x,
+          y: top + (j + 0.5) * (bottom - top) / column.length,
+        };
+      });
+    });
+
+    return positions;
+  }
+}
+
+// Tint of the entries, by origin.
+FamilyTree.colors = {
+  elite: '#f9a825',
+  crossover: '#1565c0',
+  random: '#9e9e9e',
+  immigrant: '#6a1b9a',
+};
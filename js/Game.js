@@ -23,246 +23,510 @@
   window.setZeroTimeout = setZeroTimeout;
 })();
 
-let Brain = new BirdBrain({
-  population:50,
-  network:[2, [2], 1],
+// Pick the experiment from the URL, e.g.
+// index.html?seed=42&sensors=birdY,pipeDistance,velocity,gap&fitness=pipes
+const params = new URLSearchParams(location.search);
+
+const engine = params.get('engine') || 'ga';
+
+const brainOptions = {
+  engine: engine,
+  // A DQN agent learns with one bird and a Q-value per action.
+  population: engine === 'dqn' ? 1 : 50,
+  network: engine === 'dqn' ? [2, [32, 32], 2] : [2, [2], 1],
+  seed: params.get('seed'),
+  sensors: params.has('sensors') ? params.get('sensors').split(',') : null,
+  fitness: params.get('fitness') || 'frames',
+};
+
+if(engine === 'ga'){
+  // Selection and crossover of the parents, only the GA has them.
+  brainOptions.selection = params.get('selection') || 'triangular';
+  brainOptions.crossover = params.get('crossover') || 'uniform';
+  // Ranking of the elites and parents, only the GA has one.
+  brainOptions.strategy = params.get('strategy') || 'fitness';
+  brainOptions.behavior = params.get('behavior') || 'death';
+  // Mutation and stagnation of the GA (NEAT has its own species stagnation).
+  brainOptions.mutation = params.get('mutation') || 'uniform';
+  brainOptions.mutationSchedule = params.get('schedule') || 'fixed';
+  brainOptions.stagnation = Number(params.get('stagnation')) || 0;
+}
+
+// Options of one population, e.g. "elitism:0.1,selection:tournament".
+const parseOverrides = (text) => {
+  const overrides = {};
+
+  for(let pair of text.split(',')){
+    const [key, value] = pair.split(':');
+
+    if(key){
+      overrides[key] = value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    }
+  }
+
+  return overrides;
+};
+
+// Several populations on the same pipes, e.g.
+// index.html?populations=elitism:0.1|elitism:0.4&restart=independent
+let populations = (params.has('populations') ? params.get('populations').split('|') : ['']).map((text) => {
+  return Object.assign({}, brainOptions, parseOverrides(text));
 });
 
+// Or islands of the first population, whose best genomes migrate, e.g.
+// index.html?islands=4&migration=interval:5,migrants:2,topology:ring
+const islands = params.has('islands') ?
+  Object.assign({}, Islands.defaults, parseOverrides(params.get('migration') || '')) :
+  null;
+
+if(islands){
+  const first = populations[0];
+
+  populations = [];
+  for(let i = 0; i < Math.max(1, Number(params.get('islands')) || 1); i++){
+    // Every island draws its own networks.
+    populations.push(Object.assign({}, first, {
+      seed: first.seed === null ? null : Random.normalize(first.seed) + i,
+    }));
+  }
+}
+
+// Course and physics of the world, and its optional curriculum, e.g.
+// index.html?pipeHole=100&pipeSpeed=4&curriculum=step:5,spacing:10
+// (curriculum=1 for the default one), or a mix of obstacles, e.g.
+// index.html?obstacles=plain:2,oscillating:1,floating:1
+const course = {};
+
+for(let key in Simulation.defaults){
+  if(key !== 'curriculum' && params.has(key)){
+    course[key] = Number(params.get(key));
+  }
+}
+
+if(params.has('obstacles')){
+  course.obstacles = parseOverrides(params.get('obstacles'));
+}
+
+if(params.has('curriculum')){
+  course.curriculum = ['', '1', 'true'].includes(params.get('curriculum')) ? true : parseOverrides(params.get('curriculum'));
+}
+
+// The brains train in the Trainer (a Web Worker when possible). This one
+// mirrors the first population: its stats and champion, to chart and race.
+let Brain = createBrain(populations[0]);
+let champion = null; // Champion snapshot of the first population.
+
 let FPS = 60;
+let Paused = false;
+let Turbo = false;
 let images = {};
 
 const speed = (fps) => {
   FPS = parseInt(fps);
+  Turbo = false;
+  game.trainer.send({type: 'speed', fps: FPS, turbo: false});
 };
 
-const loadImages = (sources, callback) => {
-  let nb = 0;
-  let loaded = 0;
-  let imgs = {};
+// Train as fast as possible, only showing a frame now and then.
+const turbo = () => {
+  Turbo = true;
+  game.trainer.send({type: 'speed', fps: 0, turbo: true});
+};
 
-  for(let i in sources){
-    nb++;
+const pause = () => {
+  Paused = !Paused;
+  game.trainer.send({type: 'pause', paused: Paused});
+};
 
-    imgs[i] = new Image();
-    imgs[i].src = sources[i];
+// Start over with new populations.
+const reset = () => {
+  game.trainer.send({type: 'reset'});
+};
 
-    imgs[i].onload = () => {
-      loaded++;
-      if(loaded === nb){
-        callback(imgs);
-      }
-    }
+// Change options of every population from the next generation, e.g. from
+// the console: setOptions({mutationRate: 0.2}).
+const setOptions = (options) => {
+  game.trainer.send({type: 'options', options: options});
+};
+
+const train = () => {
+  game.train();
+};
+
+const play = (race) => {
+  try {
+    game.play(race);
+  } catch (e) {
+    alert(e.message);
+    return;
   }
+
+  speed(60);
 };
 
-class Bird {
-  constructor(json) {
-    this.x = 80;
-    this.y = 250;
-    this.width = 40;
-    this.height = 30;
+const restore = (data) => {
+  game.trainer.send({type: 'restore', data: data});
+  game.train();
+};
+
+// Watch the 'last' or the 'best' course recorded by the training.
+const replay = (which) => {
+  game.trainer.request({type: 'replay', which: which}, (error, answer) => {
+    if(error){
+      alert(error.message);
+      return;
+    }
 
-    this.alive = true;
-    this.gravity = 0;
-    this.velocity = 0.3;
-    this.jump = -6;
+    watch(answer.replay);
+  });
+};
 
-    this.init(json);
+const watch = (data) => {
+  try {
+    game.watch(data);
+  } catch (e) {
+    alert(e.message);
   }
+};
 
-  init(json) {
-    for(let i in json){
-      this[i] = json[i];
-    }
+// Controls of the replay being watched.
+const replayToggle = () => {
+  if(game.replay){
+    game.replay.toggle();
   }
+};
 
-  flap() {
-    this.gravity = this.jump;
+const replayStep = () => {
+  if(game.replay){
+    game.replay.playing = false;
+    game.replay.step();
   }
+};
 
-  update() {
-    this.gravity += this.velocity;
-    this.y += this.gravity;
+// Next rate, from normal speed to slow motion and back.
+const replaySlow = () => {
+  if(game.replay){
+    const rates = Replay.rates;
+
+    game.replay.rate = rates[(rates.indexOf(game.replay.rate) + 1) % rates.length];
   }
+};
 
-  isDead(height, pipes) {
-    if(this.y >= height || this.y + this.height <= 0){
-      return true;
-    }
+const replaySeek = (input) => {
+  if(game.replay){
+    game.replay.seek(input.value / input.max * game.replay.data.frames);
+  }
+};
 
-    for(let i in pipes){
-      if(!(
-        this.x > pipes[i].x + pipes[i].width ||
-        this.x + this.width < pipes[i].x ||
-        this.y > pipes[i].y + pipes[i].height ||
-        this.y + this.height < pipes[i].y
-      )) {
-        return true;
+// Fly the champion files picked against each other, on the benchmark of the
+// URL (e.g. index.html?benchmark=2) or the current one.
+const compete = (input) => {
+  const files = Array.from(input.files);
+  const contenders = [];
+  let loaded = 0;
+  let failed = false;
+
+  files.forEach((file, i) => {
+    Snapshot.upload(file, (error, data) => {
+      loaded++;
+
+      try {
+        if(error){
+          throw error;
+        }
+        contenders[i] = Tournament.contender(data, file.name.replace(/\.json$/, ''));
+      } catch (e) {
+        failed = true;
+        alert(`${file.name}: ${e.message}`);
       }
-    }
+
+      if(loaded === files.length){
+        input.value = '';
+
+        if(!failed){
+          try {
+            game.compete(contenders, params.get('benchmark'));
+          } catch (e) {
+            alert(e.message);
+          }
+        }
+      }
+    });
+  });
+};
+
+const exportLeaderboard = () => {
+  if(!game.tournament){
+    alert('Tournament: pick the champions to compete first.');
+    return;
   }
-}
 
-class Pipe {
-  constructor(json) {
-    this.x = 0;
-    this.y = 0;
-    this.width = 50;
-    this.height = 40;
-    this.speed = 3;
+  const report = game.tournament.report();
 
-    this.init(json);
+  Snapshot.downloadText(JSON.stringify(report, null, 2), `leaderboard-${report.benchmark}.json`, 'application/json');
+};
+
+const exportReplay = () => {
+  if(!game.replay){
+    alert('Replay: watch a course first.');
+    return;
   }
 
-  init(json) {
-    for(let i in json){
-      this[i] = json[i];
+  const data = game.replay.data;
+
+  Snapshot.download(data, `replay-${data.generation}-${data.frames}.json`);
+};
+
+const savePopulation = () => {
+  game.trainer.request({type: 'save'}, (error, answer) => {
+    if(error){
+      alert(error.message);
+      return;
     }
+
+    Snapshot.store(answer.save);
+  });
+};
+
+const loadPopulation = () => {
+  let data;
+
+  try {
+    data = Snapshot.load();
+  } catch (e) {
+    alert(e.message);
+    return;
   }
 
-  update() {
-    this.x -= this.speed;
+  if(!data){
+    alert('No saved population yet.');
+    return;
   }
 
-  isOut() {
-    if(this.x + this.width < 0){
-      return true;
+  restore(data);
+};
+
+const exportPopulation = () => {
+  game.trainer.request({type: 'save'}, (error, answer) => {
+    if(error){
+      alert(error.message);
+      return;
     }
-  }
-}
 
-class Game {
-  constructor() {
-    this.pipes = [];
-    this.birds = [];
-    this.score = 0;
-    this.maxScore = 0;
-    this.pipesPassed = 0;
-    this.maxPipesPassed = 0;
-    this.canvas = document.querySelector("#flappy");
-    this.ctx = this.canvas.getContext("2d");
-    this.width = this.canvas.width;
-    this.height = this.canvas.height;
-    this.spawnInterval = 90;
-    this.interval = 0;
-    this.gen = [];
-    this.alives = 0;
-    this.generation = 0;
-    this.backgroundSpeed = 0.5;
-    this.backgroundx = 0;
+    Snapshot.download(answer.save, `population-${answer.save.generation}.json`);
+  });
+};
+
+const exportChampion = () => {
+  if(!champion){
+    alert('Snapshot: no network has been scored yet.');
+    return;
   }
 
-  start() {
-    this.interval = 0;
-    this.score = 0;
-    this.pipesPassed = 0;
-    this.pipes = [];
-    this.birds = [];
+  Snapshot.download(champion, `champion-${champion.score}.json`);
+};
+
+const importSnapshot = (input) => {
+  if(input.files.length === 0){
+    return;
+  }
 
-    this.gen = Brain.nextGeneration();
+  Snapshot.upload(input.files[0], (error, data) => {
+    input.value = '';
 
-    for(let i in this.gen){
-      let b = new Bird();
-      this.birds.push(b)
+    if(error){
+      alert(error.message);
+      return;
     }
 
-    this.generation++;
-    this.alives = this.birds.length;
-  }
+    if(data.type === 'replay'){
+      watch(data);
+    }else{
+      restore(data);
+    }
+  });
+};
 
-  update() {
-    this.backgroundx += this.backgroundSpeed;
-    let nextHole = 0;
-
-    if(this.birds.length > 0){
-      for(let i = 0; i < this.pipes.length; i+=2){
-        if(this.pipes[i].x + this.pipes[i].width > this.birds[0].x){
-          nextHole = this.pipes[i].height/this.height;
-          break;
-        }
-      }
+// Messages of the Trainer.
+const receive = (message) => {
+  if(message.type === 'frame'){
+    game.frame = message;
+  }else if(message.type === 'stats'){
+    if(message.reset){
+      Brain.stats = [];
+      dashboard.drawn = -1;
     }
+    Brain.stats = Brain.stats.concat(message.rows);
 
-    for(let i in this.birds){
-      if(this.birds[i].alive){
-        const inputs = [
-          this.birds[i].y / this.height,
-          nextHole,
-        ];
+    if(message.champion){
+      champion = message.champion;
+      Brain.set(champion.options);
+      Brain.generation = champion.generation;
+      Brain.best = new Genome(champion.score, champion.network);
+    }
 
-        const res = this.gen[i].compute(inputs);
+    if(message.lineage){
+      const root = message.lineage[0];
 
-        if(res > 0.5){
-          this.birds[i].flap();
-        }
+      familyTree.draw(message.lineage, root ?
+        `Champion: ${root.origin} of generation ${root.generation}, score ${root.score}` :
+        null);
+    }else if(message.reset){
+      familyTree.draw(null);
+    }
+  }else if(message.type === 'error'){
+    alert(message.message);
+  }
+};
 
-        this.birds[i].update();
+const loadImages = (sources, callback) => {
+  let nb = 0;
+  let loaded = 0;
+  let imgs = {};
 
-        if(this.birds[i].isDead(this.height, this.pipes)){
-          this.birds[i].alive = false;
-          this.alives--;
+  for(let i in sources){
+    nb++;
 
-          Brain.networkScore(this.gen[i], this.score);
+    imgs[i] = new Image();
+    imgs[i].src = sources[i];
 
-          if(this.isItEnd()){
-            this.start();
-          }
-        }
+    imgs[i].onload = () => {
+      loaded++;
+      if(loaded === nb){
+        callback(imgs);
       }
     }
+  }
+};
+
+class Game {
+  constructor(canvas, trainer) {
+    this.canvas = canvas;
+    this.ctx = this.canvas.getContext("2d");
+    this.width = this.canvas.width;
+    this.height = this.canvas.height;
+    this.trainer = trainer;
+    this.frame = null; // Last frame of the training.
+    this.match = null; // Round played by a human, if any.
+    this.replay = null; // Replay being watched, if any.
+    this.tournament = null; // Tournament being flown, if any.
+    this.backgroundSpeed = 0.5;
+    this.backgroundx = 0;
+    this.selected = null; // Bird clicked to be visualized in a Match.
+  }
 
-    for(let i = 0; i < this.pipes.length; i++){
-      this.pipes[i].update();
+  start() {
+    this.trainer.start();
+  }
 
-      if(this.pipes[i].isOut()){
-        this.pipes.splice(i, 1);
-        i--;
-      }
+  // Back to the training, where it was left.
+  train() {
+    this.match = null;
+    this.replay = null;
+    this.tournament = null;
+    this.trainer.send({type: 'pause', paused: Paused});
+  }
+
+  // Let a human play, alone or racing the best network so far, while the
+  // training waits.
+  play(race) {
+    this.match = new Match(Brain, Object.assign({
+      width: this.width,
+      height: this.height,
+    }, course), race);
+    this.replay = null;
+    this.tournament = null;
+    this.match.start();
+    this.trainer.send({type: 'pause', paused: true});
+  }
+
+  // Watch a recorded course, from its start, while the training waits.
+  watch(data) {
+    this.replay = new Replay(data);
+    this.match = null;
+    this.tournament = null;
+    this.replay.toggle();
+    this.trainer.send({type: 'pause', paused: true});
+  }
+
+  input() {
+    if(this.match){
+      this.match.input();
     }
+  }
 
-    if(this.interval === 0){
-      const deltaBord = 50;
-      const pipeHole = 120;
-      const holePosition = Math.round(Math.random() * (this.height - deltaBord * 2 - pipeHole)) +  deltaBord;
+  // Fly saved champions against each other while the training waits.
+  compete(contenders, version) {
+    this.tournament = new Tournament(contenders, version);
+    this.match = null;
+    this.replay = null;
+    this.tournament.start();
+    this.trainer.send({type: 'pause', paused: true});
+  }
 
-      this.pipes.push(new Pipe({x:this.width, y:0, height:holePosition}));
-      this.pipes.push(new Pipe({x:this.width, y:holePosition+pipeHole, height:this.height}));
+  // Visualize the network of the bird at (x, y) on the canvas, if any.
+  select(x, y) {
+    if(this.replay){
+      return;
     }
 
-    this.interval++;
+    if(this.match || this.tournament){
+      this.selected = Runner.select(this.match || this.tournament, x, y) || this.selected;
+    }else{
+      this.trainer.send({type: 'select', x: x, y: y});
+    }
+  }
+
+  // Only the Match and the Replay run here, the training has its own
+  // schedule.
+  update() {
+    if(this.replay){
+      if(this.replay.playing){
+        this.backgroundx += this.backgroundSpeed * this.replay.rate;
+      }
+      this.replay.tick();
+    }else if(this.tournament){
+      if(!this.tournament.done){
+        this.backgroundx += this.backgroundSpeed;
+      }
 
-    if(this.interval === this.spawnInterval){
-      this.pipesPassed++;
-      this.maxPipesPassed = (this.pipesPassed > this.maxPipesPassed) ? this.pipesPassed : this.maxPipesPassed;
+      // As fast as possible: as many frames as fit in a time slice.
+      const end = Date.now() + (FPS === 0 ? Runner.fastSlice : 0);
 
-      this.interval = 0;
+      do {
+        this.tournament.update();
+      } while(Date.now() < end && !this.tournament.done);
+    }else if(this.match){
+      if(this.match.state === 'playing'){
+        this.backgroundx += this.backgroundSpeed;
+      }
+      this.match.update();
+    }else if(!Paused){
+      this.backgroundx += this.backgroundSpeed;
     }
 
-    this.score++;
-    this.maxScore = (this.score > this.maxScore) ? this.score : this.maxScore;
+    const fps = this.match || this.tournament ? FPS : 60;
 
-    if(FPS === 0){
+    if(fps === 0){
       setZeroTimeout(() => {
         this.update();
       });
     }else{
       setTimeout(() => {
         this.update();
-      }, 1000/FPS);
+      }, 1000/fps);
     }
   }
 
-  isItEnd() {
-    for(let i in this.birds){
-      if(this.birds.hasOwnProperty(i) && this.birds[i].alive){
-        return false;
-      }
-    }
+  display() {
+    let frame = this.frame;
 
-    return true;
-  }
+    if(this.replay){
+      frame = this.replay.view();
+    }else if(this.match || this.tournament){
+      frame = Runner.frame(this.match || this.tournament, this.selected);
+    }
 
-  display() {
     this.ctx.clearRect(0, 0, this.width, this.height);
 
     for(let i = 0; i < Math.ceil(this.width / images.background.width) + 1; i++){
@@ -273,57 +537,311 @@ class Game {
       )
     }
 
-    for(let i in this.pipes){
-      if (this.pipes.hasOwnProperty(i)) {
-        if (i % 2 === 0) {
-          this.ctx.drawImage(
-            images.pipeTop,
-            this.pipes[i].x,
-            this.pipes[i].y + this.pipes[i].height - images.pipeTop.height,
-            this.pipes[i].width,
-            images.pipeTop.height,
-          );
-        } else {
-          this.ctx.drawImage(
-            images.pipeBottom,
-            this.pipes[i].x,
-            this.pipes[i].y,
-            this.pipes[i].width,
-            images.pipeTop.height,
-          );
-        }
+    if(frame){
+      this.displayFrame(frame);
+    }
+
+    requestAnimationFrame(() => {
+      this.display();
+    });
+  }
+
+  // Draw a frame of the training or of the Match (see Runner.frame()).
+  displayFrame(frame) {
+    const pipes = frame.pipes;
+    const birds = frame.birds;
+    const hud = frame.hud;
+
+    for(let i = 0; i < pipes.length; i += 4){
+      if ((i / 4) % 2 === 0) {
+        this.ctx.drawImage(
+          images.pipeTop,
+          pipes[i],
+          pipes[i + 1] + pipes[i + 3] - images.pipeTop.height,
+          pipes[i + 2],
+          images.pipeTop.height,
+        );
+      } else {
+        this.ctx.drawImage(
+          images.pipeBottom,
+          pipes[i],
+          pipes[i + 1],
+          pipes[i + 2],
+          images.pipeTop.height,
+        );
       }
     }
 
+    // Floating blocks, in the colors of the pipes.
+    const blocks = frame.blocks;
+
+    this.ctx.fillStyle = '#74BF2E';
+    this.ctx.strokeStyle = '#543847';
+    this.ctx.lineWidth = 2;
+    for(let i = 0; i < blocks.length; i += 4){
+      this.ctx.fillRect(blocks[i], blocks[i + 1], blocks[i + 2], blocks[i + 3]);
+      this.ctx.strokeRect(blocks[i], blocks[i + 1], blocks[i + 2], blocks[i + 3]);
+    }
+    this.ctx.lineWidth = 1;
+
     this.ctx.fillStyle = '#FFC600';
     this.ctx.strokeStyle = '#CE9E00';
 
-    for(let i in this.birds){
-      if(this.birds.hasOwnProperty(i) && this.birds[i].alive){
-        this.ctx.save();
-        this.ctx.translate(this.birds[i].x + this.birds[i].width/2, this.birds[i].y + this.birds[i].height/2);
-        this.ctx.rotate(Math.PI/2 * this.birds[i].gravity/20);
-        this.ctx.drawImage(images.bird, -this.birds[i].width/2, -this.birds[i].height/2, this.birds[i].width, this.birds[i].height);
-        this.ctx.restore();
-      }
+    for(let i = 0; i < birds.length; i += 7){
+      this.displayBird({
+        x: birds[i],
+        y: birds[i + 1],
+        width: birds[i + 2],
+        height: birds[i + 3],
+        gravity: birds[i + 4],
+        hue: birds[i + 5],
+        player: birds[i + 6] === 1,
+      });
+    }
+
+    if(frame.focus && frame.focus.alive){
+      const bird = frame.focus;
+
+      this.ctx.strokeStyle = 'white';
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.arc(bird.x + bird.width/2, bird.y + bird.height/2, bird.width/2 + 6, 0, Math.PI * 2);
+      this.ctx.stroke();
+      this.ctx.lineWidth = 1;
     }
 
     this.ctx.fillStyle = 'white';
     this.ctx.font = '24px Oswald, sans-serif';
 
     // Text on canvas section
-    this.ctx.fillText(`Pipes: ${this.pipesPassed}`, 10, 65);
-    this.ctx.fillText(`Record: ${this.maxPipesPassed}`, 10, 90);
-    this.ctx.fillText(`Generation: ${this.generation}`, 218, 65);
-    this.ctx.fillText(`Alive: ${this.alives} / ${Brain.options.population}`, 218, 90);
+    if(this.tournament){
+      this.displayTournament(this.tournament);
+    }else if(hud.populations){
+      this.displayArena(hud);
+    }else{
+      this.ctx.fillText(`Pipes: ${hud.pipes}`, 10, 65);
+      this.ctx.fillText(`Record: ${hud.record}`, 10, 90);
+
+      if(this.match){
+        this.displayMatch(this.match);
+      }else{
+        this.ctx.fillText(`Generation: ${hud.generation}`, 218, 65);
+        this.ctx.fillText(`Alive: ${hud.alives} / ${hud.population}`, 218, 90);
+      }
 
-    requestAnimationFrame(() => {
-      this.display();
+      this.ctx.font = '16px Oswald, sans-serif';
+      this.ctx.fillText(`Seed: ${hud.seed}${hud.level === null ? '' : `  Level: ${hud.level}`}`, 10, 112);
+    }
+
+    if(frame.replay){
+      this.displayReplay(frame.replay);
+    }else if(!this.match && !this.tournament && (Paused || Turbo)){
+      this.ctx.save();
+      this.ctx.font = '16px Oswald, sans-serif';
+      this.ctx.textAlign = 'right';
+      this.ctx.fillText(Paused ? 'Paused' : 'Turbo', this.width - 10, 112);
+      this.ctx.restore();
+    }
+
+    dashboard.update();
+
+    if(!frame.focus){
+      visualizer.draw(null);
+    }else{
+      visualizer.draw(frame.focus.network, frame.focus.labels, frame.focus.caption);
+    }
+  }
+
+  displayBird(bird) {
+    this.ctx.save();
+    this.ctx.translate(bird.x + bird.width/2, bird.y + bird.height/2);
+
+    if(bird.player){
+      // The player is the blue bird.
+      this.ctx.fillStyle = 'white';
+      this.ctx.font = '14px Oswald, sans-serif';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText('YOU', 0, -bird.height/2 - 6);
+      this.ctx.filter = 'hue-rotate(180deg) saturate(1.5)';
+    }else if(bird.hue){
+      // Tint of its population in an Arena.
+      this.ctx.filter = `hue-rotate(${bird.hue}deg)`;
+    }
+
+    this.ctx.rotate(Math.PI/2 * bird.gravity/20);
+    this.ctx.drawImage(images.bird, -bird.width/2, -bird.height/2, bird.width, bird.height);
+    this.ctx.restore();
+  }
+
+  // One line per population: its tint, pipes, generation, alive birds and record.
+  displayArena(hud) {
+    this.ctx.font = '18px Oswald, sans-serif';
+
+    hud.populations.forEach((population, i) => {
+      const y = 65 + i * 24;
+
+      // The bird sprite is yellow (hue 48) before its rotation.
+      this.ctx.fillStyle = `hsl(${48 + population.hue}, 100%, 50%)`;
+      this.ctx.beginPath();
+      this.ctx.arc(18, y - 6, 7, 0, Math.PI * 2);
+      this.ctx.fill();
+
+      this.ctx.fillStyle = population.alives > 0 ? 'white' : 'rgba(255, 255, 255, 0.5)';
+      this.ctx.fillText(
+        `${population.name}  Pipes: ${population.pipes}  Gen: ${population.generation}  ` +
+        `Alive: ${population.alives} / ${population.size}  Record: ${population.record}`,
+        32, y,
+      );
+    });
+
+    const migration = hud.migration;
+    const mode = migration ?
+      `${migration.topology} migration every ${migration.interval} gen (${migration.count} so far)` :
+      `${hud.restart} restart`;
+
+    this.ctx.fillStyle = 'white';
+    this.ctx.font = '16px Oswald, sans-serif';
+    this.ctx.fillText(
+      `Seed: ${hud.seed} - ${mode}${hud.level === null ? '' : `  Level: ${hud.level}`}`,
+      10, 65 + hud.populations.length * 24 - 2,
+    );
+  }
+
+  // One line per contender: its tint, pipes on this course and mean so far,
+  // then the leaderboard once every course is flown.
+  displayTournament(tournament) {
+    const courses = tournament.benchmark.seeds.length;
+
+    this.ctx.font = '18px Oswald, sans-serif';
+
+    tournament.contenders.forEach((contender, i) => {
+      const y = 65 + i * 24;
+      const bird = tournament.birds[i];
+      const runs = contender.runs;
+      const mean = runs.length ? runs.reduce((sum, pipes) => sum + pipes, 0) / runs.length : 0;
+
+      this.ctx.fillStyle = `hsl(${48 + contender.hue}, 100%, 50%)`;
+      this.ctx.beginPath();
+      this.ctx.arc(18, y - 6, 7, 0, Math.PI * 2);
+      this.ctx.fill();
+
+      this.ctx.fillStyle = bird && bird.alive ? 'white' : 'rgba(255, 255, 255, 0.5)';
+      this.ctx.fillText(
+        `${contender.name}  Pipes: ${bird && bird.alive ? tournament.pipesPassed : bird ? bird.pipesPassed : 0}  Mean: ${mean.toFixed(1)}`,
+        32, y,
+      );
+    });
+
+    this.ctx.fillStyle = 'white';
+    this.ctx.font = '16px Oswald, sans-serif';
+    this.ctx.fillText(
+      `Benchmark ${tournament.version} (${tournament.benchmark.name}) - course ${Math.min(tournament.course + 1, courses)} / ${courses}`,
+      10, 65 + tournament.contenders.length * 24 - 2,
+    );
+
+    if(!tournament.done){
+      return;
+    }
+
+    const table = tournament.leaderboard();
+
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    this.ctx.fillRect(0, this.height/2 - 40 - table.length * 12, this.width, 60 + table.length * 24);
+    this.ctx.fillStyle = 'white';
+    this.ctx.textAlign = 'center';
+    this.ctx.font = '24px Oswald, sans-serif';
+    this.ctx.fillText('Leaderboard', this.width/2, this.height/2 - 12 - table.length * 12);
+    this.ctx.font = '16px Oswald, sans-serif';
+    table.forEach((row, i) => {
+      this.ctx.fillText(
+        `${row.rank}. ${row.name}  mean ${row.mean.toFixed(1)}  max ${row.max}`,
+        this.width/2, this.height/2 + 14 - table.length * 12 + i * 24,
+      );
     });
+    this.ctx.restore();
+  }
+
+  // State of the playback, also shown by the seek slider.
+  displayReplay(replay) {
+    const seek = document.querySelector('#replay-seek');
+
+    this.ctx.save();
+    this.ctx.font = '16px Oswald, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText(
+      `Replay ${replay.frame} / ${replay.frames}  x${replay.rate}${replay.playing ? '' : '  Paused'}`,
+      this.width - 10, 112,
+    );
+    this.ctx.restore();
+
+    if(seek && document.activeElement !== seek){
+      seek.value = Math.round(replay.frame / Math.max(1, replay.frames) * seek.max);
+    }
+  }
+
+  displayMatch(match) {
+    const opponent = match.opponent();
+
+    this.ctx.fillText(match.race ? 'Race vs AI' : 'Solo', 218, 65);
+    if(opponent){
+      this.ctx.fillText(`AI: ${opponent.alive ? match.pipesPassed : opponent.pipesPassed}`, 218, 90);
+    }
+
+    if(match.state === 'playing'){
+      return;
+    }
+
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    this.ctx.fillRect(0, this.height/2 - 70, this.width, 140);
+    this.ctx.fillStyle = 'white';
+    this.ctx.textAlign = 'center';
+
+    if(match.state === 'ready'){
+      this.ctx.font = '32px Oswald, sans-serif';
+      this.ctx.fillText('Get ready!', this.width/2, this.height/2 - 10);
+      this.ctx.font = '18px Oswald, sans-serif';
+      this.ctx.fillText('Space, click or tap to flap', this.width/2, this.height/2 + 30);
+    }else{
+      let result = `You passed ${match.player().pipesPassed} pipes`;
+
+      if(opponent){
+        result = match.playerWon() ? 'You beat the AI!' : 'The AI wins';
+      }
+
+      this.ctx.font = '32px Oswald, sans-serif';
+      this.ctx.fillText('Game over', this.width/2, this.height/2 - 25);
+      this.ctx.font = '18px Oswald, sans-serif';
+      this.ctx.fillText(result, this.width/2, this.height/2 + 10);
+      this.ctx.fillText('Flap to restart', this.width/2, this.height/2 + 40);
+    }
+
+    this.ctx.restore();
   }
 }
 
-const game = new Game();
+const canvas = document.querySelector("#flappy");
+const game = new Game(canvas, new Trainer({
+  type: 'init',
+  brains: populations,
+  world: Object.assign({
+    width: canvas.width,
+    height: canvas.height,
+  }, course),
+  restart: params.get('restart'),
+  islands: islands,
+}, receive));
+
+const visualizer = new Visualizer(document.querySelector("#network"));
+
+const familyTree = new FamilyTree(document.querySelector("#lineage"));
+
+const dashboard = new Dashboard(
+  document.querySelector("#stats"),
+  Brain,
+  document.querySelector("#stats-summary"),
+);
 
 window.onload = function(){
   const sprites = {
@@ -340,6 +858,29 @@ window.onload = function(){
   };
 
 
+  const flap = (event) => {
+    if(game.match){
+      event.preventDefault();
+      game.input();
+    }
+  };
+
+  canvas.addEventListener('click', (event) => {
+    const rect = canvas.getBoundingClientRect();
+
+    game.select(
+      (event.clientX - rect.left) * canvas.width / rect.width,
+      (event.clientY - rect.top) * canvas.height / rect.height,
+    );
+  });
+  canvas.addEventListener('mousedown', flap);
+  canvas.addEventListener('touchstart', flap);
+  window.addEventListener('keydown', (event) => {
+    if(event.code === 'Space' && !event.repeat){
+      flap(event);
+    }
+  });
+
   loadImages(sprites, (imgs) => {
     images = imgs;
     start();
@@ -0,0 +1,220 @@
+/**
+ * Migration topologies the topology option of Islands can pick by name.
+ *
+ * Each one gives the islands the emigrants of an island go to.
+ */
+const Topologies = {
+  /**
+   * To the next island, the last one sending to the first.
+   */
+  ring: (i, count) => count > 1 ? [(i + 1) % count] : [],
+
+  /**
+   * To every other island.
+   */
+  full: (i, count) => {
+    const targets = [];
+
+    for (let j = 0; j < count; j++) {
+      if (j !== i) {
+        targets.push(j);
+      }
+    }
+
+    return targets;
+  },
+
+  /**
+   * To another island drawn at random at every migration.
+   */
+  random: (i, count, random) => {
+    if (count < 2) {
+      return [];
+    }
+
+    const j = Math.floor(random.next() * (count - 1));
+
+    return [j >= i ? j + 1 : j];
+  },
+};
+
+class Islands extends Arena {
+  /**
+   * Islands class.
+   *
+   * An island model: populations of the ga engine (the islands) evolving
+   * apart, flying on the same courses like the ones of an Arena restarting
+   * 'together', but every interval generations the best Genomes of each
+   * island migrate to other ones, following the topology. The emigrants
+   * replace the worst Genomes of the islands they reach, before these breed
+   * their next generation.
+   *
+   * Migration options ({interval, migrants, topology}, see
+   * Islands.defaults):
+   * - interval: generations between two migrations.
+   * - migrants: best Genomes every island sends.
+   * - topology: one of the Topologies (ring, full, random).
+   *
+   * @constructor
+   * @param brains BirdBrains of the islands, all of the same network.
+   * @param world World of the Simulation (size, seed, course, physics).
+   * @param migration Migration options (Islands.defaults if omitted).
+   */
+  constructor(brains, world, migration) {
+    Islands.check(brains);
+
+    super(brains, world, 'together');
+
+    this.migration = Object.assign({}, Islands.defaults, migration);
+    Islands.validate(this.migration, brains[0].options.population);
+
+    this.migrations = 0; // Migrations so far.
+    // Draws of the random topology, apart from the course.
+    this.migrationRandom = brains[0].random.fork();
+  }
+
+  /**
+   * Let the islands migrate when it is time, then start their next
+   * generation on a new course.
+   *
+   * @return void
+   */
+  start() {
+    const generation = this.brain.generation;
+
+    if (generation > 0 && generation % this.migration.interval === 0) {
+      this.migrate();
+    }
+
+    super.start();
+  }
+
+  /**
+   * Send the best Genomes of every island to the islands of the topology.
+   *
+   * @return void
+   */
+  migrate() {
+    const brains = this.populations.map((population) => population.brain);
+    const emigrants = brains.map((brain) =>
+      Islands.emigrants(brain, this.migration.migrants));
+
+    brains.forEach((brain, i) => {
+      const targets = Topologies[this.migration.topology](i, brains.length,
+        this.migrationRandom);
+
+      for (const j of targets) {
+        Islands.immigrate(brains[j], emigrants[i]);
+      }
+    });
+
+    this.migrations++;
+  }
+
+  /**
+   * Check that the brains can exchange Genomes.
+   *
+   * @param brains BirdBrains of the islands.
+   * @return void
+   */
+  static check(brains) {
+    if (!brains || brains.length === 0) {
+      throw new Error('Islands: at least one island is needed.');
+    }
+
+    for (const brain of brains) {
+      if (brain.constructor !== BirdBrain) {
+        throw new Error('Islands: only the ga engine can migrate.');
+      }
+
+      if (JSON.stringify(brain.options.network) !==
+        JSON.stringify(brains[0].options.network)) {
+        throw new Error('Islands: every island needs the same network.');
+      }
+    }
+  }
+
+  /**
+   * Check migration options.
+   *
+   * @param migration Migration options.
+   * @param population Genomes per island.
+   * @return void
+   */
+  static validate(migration, population) {
+    if (!(Number.isInteger(migration.interval) && migration.interval >= 1)) {
+      throw new Error('Islands: interval must be a positive integer.');
+    }
+
+    if (!(Number.isInteger(migration.migrants) && migration.migrants >= 0 &&
+      migration.migrants < population)) {
+      throw new Error('Islands: migrants must be an integer between 0 and ' +
+        'the population.');
+    }
+
+    if (!Topologies.hasOwnProperty(migration.topology)) {
+      throw new Error(`Islands: unknown topology "${migration.topology}".`);
+    }
+  }
+
+  /**
+   * Copies of the best Genomes of the last scored Generation of a brain:
+   * the current one, or the previous one when the current one has no
+   * Genome yet.
+   *
+   * @param brain BirdBrain of an island.
+   * @param count Number of Genomes.
+   * @return [Genome] - Emigrants, best first.
+   */
+  static emigrants(brain, count) {
+    const generations = brain.generations.generations;
+    const last = generations[generations.length - 1];
+    const scored = last && last.genomes.length > 0 ? last : brain.previous;
+
+    if (!scored) {
+      return [];
+    }
+
+    return JSON.parse(JSON.stringify(scored.genomes.slice(0, count)));
+  }
+
+  /**
+   * Add Genomes to the current Generation of a brain, once scored, in place
+   * of its worst ones, so that it breeds the next Generation from them too.
+   *
+   * @param brain BirdBrain of an island.
+   * @param genomes Emigrants of another island.
+   * @return void
+   */
+  static immigrate(brain, genomes) {
+    const generations = brain.generations.generations;
+    const last = generations[generations.length - 1];
+
+    if (!last || last.genomes.length === 0) {
+      return;
+    }
+
+    const size = last.genomes.length;
+
+    for (const genome of genomes) {
+      const network = JSON.parse(JSON.stringify(genome.network));
+
+      brain.history.adopt(network, genome.score, brain.generation);
+      last.addGenome(new Genome(genome.score, network, genome.measures));
+    }
+
+    last.genomes.splice(size);
+    last.ranked = null;
+  }
+}
+
+// Migration options of Islands.
+Islands.defaults = {
+  interval: 5,
+  migrants: 2,
+  topology: 'ring',
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Topologies, Islands};
+}
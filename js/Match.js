@@ -0,0 +1,141 @@
+class Match extends Simulation {
+  /**
+   * Match class.
+   *
+   * A round played by a human, alone or racing the best network of a
+   * BirdBrain on the same pipes. The brain only lends its champion: nothing
+   * is scored nor bred.
+   *
+   * The round waits in the 'ready' state, goes 'playing' on the first input
+   * and 'over' once every bird is dead; the next input restarts it.
+   *
+   * @constructor
+   * @param brain BirdBrain holding the champion to race.
+   * @param world World of the Simulation (size, seed, course, physics).
+   * @param race True to race the champion of the brain.
+   */
+  constructor(brain, world, race) {
+    super(brain, world);
+
+    if (race && !brain.best) {
+      throw new Error('Match: no trained network to race yet.');
+    }
+
+    this.race = !!race;
+    this.state = 'ready';
+    this.flapping = false;
+  }
+
+  /**
+   * Put a new player bird (and the champion) on a new course.
+   *
+   * @return void
+   */
+  start() {
+    this.reset();
+    this.perceive();
+
+    this.birds = [this.createBird({player: true})];
+    this.gen = [null];
+
+    if (this.race) {
+      this.birds.push(this.createBird());
+      this.gen.push(this.brain.createNetwork(this.brain.best.network));
+    }
+
+    this.alives = this.birds.length;
+    this.state = 'ready';
+    this.flapping = false;
+  }
+
+  /**
+   * Player input (space, click or tap).
+   *
+   * Starts the round, flaps the player bird, or restarts after a game over.
+   *
+   * @return void
+   */
+  input() {
+    if (this.state === 'over') {
+      this.start();
+      return;
+    }
+
+    this.state = 'playing';
+    this.flapping = true;
+  }
+
+  /**
+   * Advance the round by one frame (nothing moves unless it is playing).
+   *
+   * @return void
+   */
+  update() {
+    if (this.state === 'playing') {
+      super.update();
+    }
+  }
+
+  think(i) {
+    if (this.birds[i].player) {
+      const flapping = this.flapping;
+
+      this.flapping = false;
+
+      return flapping;
+    }
+
+    return super.think(i);
+  }
+
+  kill(i) {
+    this.birds[i].die(this.score, this.pipesPassed);
+    this.alives--;
+  }
+
+  /**
+   * The round is over as soon as the player is dead.
+   *
+   * @return Boolean - True if the player bird is dead.
+   */
+  isItEnd() {
+    return !this.player().alive;
+  }
+
+  end() {
+    this.state = 'over';
+  }
+
+  /**
+   * Whether the player outlived the champion (always true when alone).
+   *
+   * @return Boolean - True if the player won the round.
+   */
+  playerWon() {
+    const opponent = this.opponent();
+
+    return !opponent || (!opponent.alive && opponent.score < this.score);
+  }
+
+  /**
+   * The player bird.
+   *
+   * @return Bird - Bird driven by the inputs.
+   */
+  player() {
+    return this.birds[0];
+  }
+
+  /**
+   * The champion bird racing the player.
+   *
+   * @return Bird || null - Bird driven by the network, if racing.
+   */
+  opponent() {
+    return this.race ? this.birds[1] : null;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Match};
+}
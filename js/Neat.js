@@ -0,0 +1,908 @@
+const neatDefaults = {
+  engine: 'neat', // Neuroevolution engine (see Engines).
+  activation: 'sigmoid', // Activation of hidden and output nodes (name of
+  // one of the Activations).
+  seed: null, // Seed of the random generator (null picks a random one).
+  sensors: null, // Sensors feeding the input nodes in a Simulation.
+  network: [1, [], 1], // Number of input and output nodes (the hidden ones
+  // are evolved, so network[1] is ignored).
+  population: 50, // Population by generation.
+  fitness: 'frames', // Score of a run (see Fitness).
+  scoreSort: -1, // Sort order (-1 = desc, 1 = asc).
+
+  // Retention (see BirdBrain.defaults).
+  historic: 1, // Past generations kept whole (-1 for all).
+  lowHistoric: false, // Drop the networks of the past generations kept
+  // (but the last one), keeping their scores.
+  genealogy: 50, // Generations whose genealogy is kept (-1 for all).
+  summaries: -1, // Generations whose score summary is kept (-1 for all).
+
+  // Speciation.
+  compatibilityThreshold: 3, // Distance under which genomes are the same
+  // species.
+  excessCoefficient: 1, // Weight of the excess genes in the distance.
+  disjointCoefficient: 1, // Weight of the disjoint genes in the distance.
+  weightCoefficient: 0.4, // Weight of the mean weight difference of the
+  // matching genes in the distance.
+  stagnation: 15, // Generations without improvement before a species dies
+  // (the two best species are spared).
+
+  // Reproduction.
+  survivalThreshold: 0.2, // Best genomes (rate) of a species allowed to
+  // breed.
+  speciesElitism: 5, // Species at least this big keep their champion.
+  crossoverRate: 0.75, // Chance for a child to have two parents.
+  interspeciesRate: 0.001, // Chance for the second parent to come from
+  // another species.
+
+  // Mutation.
+  weightMutationRate: 0.8, // Chance to perturb each connection weight.
+  weightReplaceRate: 0.1, // Chance for a mutated weight to be replaced by a
+  // random one instead.
+  mutationRange: 0.5, // Interval of the weight perturbations.
+  addConnectionRate: 0.05, // Chance to add a connection.
+  addNodeRate: 0.03 // Chance to split a connection with a new node.
+};
+
+/**
+ * Compatibility distance between two NEAT genomes.
+ *
+ * @param a Genome data ({nodes, connections}).
+ * @param b Genome data.
+ * @param options NEAT options (coefficients).
+ * @return Number - Distance, 0 for identical genomes.
+ */
+const neatDistance = function (a, b, options) {
+  const genesA = {};
+  let maxA = 0;
+  let maxB = 0;
+
+  for (const connection of a.connections) {
+    genesA[connection.innovation] = connection;
+    maxA = Math.max(maxA, connection.innovation);
+  }
+  for (const connection of b.connections) {
+    maxB = Math.max(maxB, connection.innovation);
+  }
+
+  const limit = Math.min(maxA, maxB);
+  const matched = {};
+  let excess = 0;
+  let disjoint = 0;
+  let matching = 0;
+  let weightDifference = 0;
+
+  for (const connection of b.connections) {
+    const other = genesA[connection.innovation];
+
+    if (other) {
+      matched[connection.innovation] = true;
+      matching++;
+      weightDifference += Math.abs(other.weight - connection.weight);
+    } else if (connection.innovation > limit) {
+      excess++;
+    } else {
+      disjoint++;
+    }
+  }
+  for (const connection of a.connections) {
+    if (!matched[connection.innovation]) {
+      if (connection.innovation > limit) {
+        excess++;
+      } else {
+        disjoint++;
+      }
+    }
+  }
+
+  const size = Math.max(a.connections.length, b.connections.length, 1);
+
+  return options.excessCoefficient * excess / size +
+    options.disjointCoefficient * disjoint / size +
+    options.weightCoefficient * (matching ? weightDifference / matching : 0);
+};
+
+class NeatNetwork {
+  /**
+   * NeatNetwork class.
+   *
+   * Feed-forward phenotype of a NEAT genome: input nodes, one bias node
+   * (always 1), hidden nodes in any arrangement and output nodes, linked by
+   * the enabled connections.
+   *
+   * @constructor
+   * @param genome Genome data ({nodes, connections}).
+   * @param activation Activation of hidden and output nodes (name).
+   */
+  constructor(genome, activation) {
+    this.genome = genome;
+    this.activation = Activations[activation];
+    this.nodes = {};
+    this.order = [];
+    this.inputs = [];
+    this.outputs = [];
+
+    for (const node of genome.nodes) {
+      this.nodes[node.id] = {
+        id: node.id,
+        type: node.type,
+        value: node.type === 'bias' ? 1 : 0,
+        incoming: [],
+      };
+
+      if (node.type === 'input') {
+        this.inputs.push(node.id);
+      } else if (node.type === 'output') {
+        this.outputs.push(node.id);
+      }
+    }
+
+    for (const connection of genome.connections) {
+      if (connection.enabled) {
+        this.nodes[connection.to].incoming.push(connection);
+      }
+    }
+
+    // Topological order (Kahn), the genome has no cycle.
+    const pending = {};
+    const ready = [];
+    for (const id in this.nodes) {
+      pending[id] = this.nodes[id].incoming.length;
+      if (pending[id] === 0) {
+        ready.push(Number(id));
+      }
+    }
+    while (ready.length > 0) {
+      const id = ready.shift();
+
+      this.order.push(id);
+      for (const connection of genome.connections) {
+        if (connection.enabled && connection.from === id) {
+          pending[connection.to]--;
+          if (pending[connection.to] === 0) {
+            ready.push(connection.to);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Compute the output of an input.
+   *
+   * @param inputs - Set of inputs.
+   * @return [] - Network output.
+   */
+  compute(inputs) {
+    for (let i = 0; i < this.inputs.length; i++) {
+      this.nodes[this.inputs[i]].value = inputs[i] || 0;
+    }
+
+    for (const id of this.order) {
+      const node = this.nodes[id];
+
+      if (node.type === 'input' || node.type === 'bias') {
+        continue;
+      }
+
+      let sum = 0;
+      for (const connection of node.incoming) {
+        sum += this.nodes[connection.from].value * connection.weight;
+      }
+      node.value = this.activation(sum);
+    }
+
+    return this.outputs.map((id) => this.nodes[id].value);
+  }
+
+  /**
+   * Copy of the genome data.
+   *
+   * @return {nodes, connections} Genome data.
+   */
+  getSave() {
+    return JSON.parse(JSON.stringify(this.genome));
+  }
+
+  /**
+   * Nodes and enabled connections with the depth of each node, to draw it.
+   *
+   * @return {nodes: [{id, type, value, depth}], edges: [{from, to, weight}]}
+   * Graph of the network.
+   */
+  graph() {
+    const depth = {};
+    let maxDepth = 1;
+
+    for (const id of this.order) {
+      const node = this.nodes[id];
+
+      depth[id] = 0;
+      for (const connection of node.incoming) {
+        depth[id] = Math.max(depth[id], depth[connection.from] + 1);
+      }
+      maxDepth = Math.max(maxDepth, depth[id]);
+    }
+
+    const nodes = [];
+    for (const id in this.nodes) {
+      const node = this.nodes[id];
+
+      nodes.push({
+        id: node.id,
+        type: node.type,
+        value: node.value,
+        // Outputs are drawn last, inputs first.
+        depth: node.type === 'output' ? maxDepth :
+          (node.type === 'input' || node.type === 'bias' ? 0 : depth[id]),
+      });
+    }
+
+    return {
+      nodes: nodes,
+      edges: this.genome.connections
+        .filter((connection) => connection.enabled)
+        .map((connection) => ({
+          from: connection.from,
+          to: connection.to,
+          weight: connection.weight,
+        })),
+    };
+  }
+}
+
+class NeatGeneration extends Generation {
+  /**
+   * NeatGeneration class.
+   *
+   * Generation of NEAT genomes, whose diversity is their mean compatibility
+   * distance.
+   *
+   * @constructor
+   * @param options NEAT options.
+   */
+  constructor(options) {
+    super(options);
+    this.species = 0; // Number of species it was bred from.
+  }
+
+  stats() {
+    return Object.assign(super.stats(), {species: this.species});
+  }
+
+  /**
+   * Mean compatibility distance between the Genomes.
+   *
+   * @return Number - 0 when every Genome has the same genes.
+   */
+  diversity() {
+    let total = 0;
+    let pairs = 0;
+
+    for (let i = 0; i < this.genomes.length; i++) {
+      for (let j = i + 1; j < this.genomes.length; j++) {
+        total += neatDistance(this.genomes[i].network,
+          this.genomes[j].network, this.options);
+        pairs++;
+      }
+    }
+
+    return pairs ? total / pairs : 0;
+  }
+}
+
+class NeatBrain extends BirdBrain {
+  /**
+   * NeatBrain class.
+   *
+   * NeuroEvolution of Augmenting Topologies: genomes are lists of nodes and
+   * innovation-numbered connections, starting minimal (inputs and bias
+   * fully connected to the outputs) and growing through add-node and
+   * add-connection mutations. The population is split in species by
+   * compatibility distance, and shares its fitness within each species.
+   *
+   * Same nextGeneration()/networkScore() contract as BirdBrain.
+   *
+   * @constructor
+   * @param options An object of NEAT options (see neatDefaults).
+   */
+  constructor(options) {
+    super(options);
+    this.innovations = {}; // Innovation number by "from>to" connection.
+    this.nextInnovation = 0;
+    this.splits = {}; // Node id by split connection innovation.
+    this.nextNode = 0;
+    this.species = []; // {id, representative, best, stagnant}.
+    this.nextSpecies = 0;
+  }
+
+  /**
+   * Check the NEAT options.
+   *
+   * @param options Options to check.
+   * @return void
+   */
+  validate(options) {
+    const rates = ['survivalThreshold', 'crossoverRate', 'interspeciesRate',
+      'weightMutationRate', 'weightReplaceRate', 'addConnectionRate',
+      'addNodeRate'];
+
+    // Ranking strategies and behaviors are the ones of the ga engine.
+    if ((options.strategy !== undefined && options.strategy !== 'fitness') ||
+      options.behavior !== undefined) {
+      throw new Error('NeatBrain: only the ga engine ranks by strategy and ' +
+        'behavior.');
+    }
+
+    if (!(Number.isInteger(options.population) && options.population >= 2)) {
+      throw new Error('NeatBrain: population must be an integer of at least ' +
+        '2.');
+    }
+
+    for (const rate of rates) {
+      if (!(options[rate] >= 0 && options[rate] <= 1)) {
+        throw new Error(`NeatBrain: ${rate} must be between 0 and 1.`);
+      }
+    }
+
+    if (!(options.compatibilityThreshold > 0)) {
+      throw new Error('NeatBrain: compatibilityThreshold must be positive.');
+    }
+
+    if (!(options.mutationRange >= 0)) {
+      throw new Error('NeatBrain: mutationRange must be positive.');
+    }
+
+    for (const integer of ['stagnation', 'speciesElitism']) {
+      if (!(Number.isInteger(options[integer]) && options[integer] >= 1)) {
+        throw new Error(`NeatBrain: ${integer} must be a positive integer.`);
+      }
+    }
+
+    for (const retention of ['historic', 'genealogy', 'summaries']) {
+      if (!(Number.isInteger(options[retention]) &&
+        options[retention] >= -1)) {
+        throw new Error(`NeatBrain: ${retention} must be -1 or more.`);
+      }
+    }
+
+    if (options.scoreSort !== -1 && options.scoreSort !== 1) {
+      throw new Error('NeatBrain: scoreSort must be -1 or 1.');
+    }
+
+    if (!Activations.hasOwnProperty(options.activation)) {
+      throw new Error(
+        `NeatBrain: unknown activation "${options.activation}".`);
+    }
+
+    if (typeof options.fitness === 'string' &&
+      !Fitness.hasOwnProperty(options.fitness)) {
+      throw new Error(`NeatBrain: unknown fitness "${options.fitness}".`);
+    }
+  }
+
+  createNetwork(save) {
+    return new NeatNetwork(save, this.options.activation);
+  }
+
+  /**
+   * Create the next generation.
+   *
+   * @return Array NeatNetwork array for next Generation.
+   */
+  nextGeneration() {
+    const generations = this.generations.generations;
+    let genomes;
+    let species = 0;
+
+    if (generations.length === 0) {
+      genomes = [];
+      for (let i = 0; i < this.options.population; i++) {
+        genomes.push(this.minimalGenome());
+      }
+    } else {
+      this.previous = generations[generations.length - 1];
+      this.record(this.previous);
+      this.history.record(this.generation, this.previous,
+        this.best && this.best.network ? this.best.network.id : undefined);
+      this.previous.origins = [];
+      genomes = this.reproduce(this.previous.genomes, this.previous.origins);
+      species = this.species.length;
+    }
+
+    const generation = new NeatGeneration(this.options);
+    generation.species = species;
+    generations.push(generation);
+
+    this.generation++;
+    generation.fitness = this.fitnessName();
+    this.history.born(genomes, this.previous ? this.previous.origins : null,
+      this.generation);
+
+    const networks = genomes.map((genome) => this.createNetwork(genome));
+
+    this.retain();
+
+    return networks;
+  }
+
+  /**
+   * Inputs and bias fully connected to the outputs, with random weights.
+   *
+   * @return {nodes, connections} Genome data.
+   */
+  minimalGenome() {
+    const genome = {nodes: [], connections: []};
+    const inputs = this.options.network[0];
+    const output = this.options.network[2];
+    const outputs = typeof output === 'object' ? output.neurons : output;
+    const sources = [];
+
+    for (let i = 0; i <= inputs; i++) {
+      // The last source node is the bias.
+      genome.nodes.push({id: i, type: i < inputs ? 'input' : 'bias'});
+      sources.push(i);
+    }
+    for (let i = 0; i < outputs; i++) {
+      genome.nodes.push({id: inputs + 1 + i, type: 'output'});
+    }
+    this.nextNode = Math.max(this.nextNode, inputs + 1 + outputs);
+
+    for (const from of sources) {
+      for (let i = 0; i < outputs; i++) {
+        genome.connections.push(
+          this.connection(from, inputs + 1 + i, this.random.range(-1, 1)));
+      }
+    }
+
+    return genome;
+  }
+
+  /**
+   * New connection gene, reusing the innovation number of the same
+   * connection if it already appeared in the run.
+   *
+   * @param from Source node id.
+   * @param to Target node id.
+   * @param weight Weight.
+   * @return {innovation, from, to, weight, enabled} Connection gene.
+   */
+  connection(from, to, weight) {
+    const key = `${from}>${to}`;
+
+    if (!this.innovations.hasOwnProperty(key)) {
+      this.innovations[key] = this.nextInnovation++;
+    }
+
+    return {
+      innovation: this.innovations[key],
+      from: from,
+      to: to,
+      weight: weight,
+      enabled: true,
+    };
+  }
+
+  /**
+   * Breed the next genomes from scored ones.
+   *
+   * Speciates them, drops the stagnant species, shares the fitness within
+   * each species and gives each one offspring in proportion.
+   *
+   * @param scored Genomes sorted from the best to the worst.
+   * @param origins Filled with how each child was bred (see
+   * Chronicle.born()).
+   * @return [] - Genome data of the next generation.
+   */
+  reproduce(scored, origins) {
+    const options = this.options;
+    // Fitness sharing needs positive values: shift above the worst one.
+    const worst = scored[scored.length - 1].score;
+    const fitness = (genome) => Math.abs(genome.score - worst) + 1e-6;
+
+    this.speciate(scored);
+
+    let total = 0;
+    for (const species of this.species) {
+      species.adjusted = 0;
+      for (const member of species.members) {
+        species.adjusted += fitness(member) / species.members.length;
+      }
+      total += species.adjusted;
+    }
+
+    // Offspring by species, the rounding left over going to the best one.
+    let given = 0;
+    for (const species of this.species) {
+      species.offspring = Math.floor(
+        species.adjusted / total * options.population);
+      given += species.offspring;
+    }
+    this.species[0].offspring += options.population - given;
+
+    const children = [];
+
+    for (const species of this.species) {
+      const members = species.members;
+      const parents = members.slice(0, Math.max(1,
+        Math.ceil(options.survivalThreshold * members.length)));
+
+      for (let i = 0; i < species.offspring; i++) {
+        if (i === 0 && members.length >= options.speciesElitism) {
+          children.push(JSON.parse(JSON.stringify(members[0].network)));
+          origins.push({
+            origin: 'elite',
+            parents: [members[0].network],
+            mutations: [],
+          });
+          continue;
+        }
+
+        const mother = parents[Math.floor(this.random.next() * parents.length)];
+        let family = [mother.network];
+        let child;
+
+        if (this.random.next() < options.crossoverRate) {
+          let father = parents[Math.floor(this.random.next() * parents.length)];
+
+          if (this.random.next() < options.interspeciesRate) {
+            father = scored[Math.floor(this.random.next() * scored.length)];
+          }
+
+          // The fitter parent first.
+          child = scored.indexOf(mother) <= scored.indexOf(father) ?
+            this.crossover(mother.network, father.network) :
+            this.crossover(father.network, mother.network);
+          family = [mother.network, father.network];
+        } else {
+          child = JSON.parse(JSON.stringify(mother.network));
+        }
+
+        children.push(child);
+        origins.push({
+          origin: 'crossover',
+          parents: family,
+          mutations: this.mutate(child),
+        });
+      }
+    }
+
+    // A random member represents each species in the next generation.
+    for (const species of this.species) {
+      species.representative = species.members[
+        Math.floor(this.random.next() * species.members.length)].network;
+      delete species.members;
+      delete species.adjusted;
+      delete species.offspring;
+    }
+
+    return children;
+  }
+
+  /**
+   * Sort the scored genomes into species and drop the stagnant ones.
+   *
+   * Leaves this.species sorted from the best species to the worst, each
+   * with its members sorted the same way.
+   *
+   * A species stagnates while its best score does not beat the best one it
+   * ever had (the raw score: the shared fitness shifts with the worst
+   * Genome of each Generation).
+   *
+   * @param scored Genomes sorted from the best to the worst.
+   * @return void
+   */
+  speciate(scored) {
+    for (const species of this.species) {
+      species.members = [];
+    }
+
+    for (const genome of scored) {
+      let home = null;
+
+      for (const species of this.species) {
+        if (neatDistance(genome.network, species.representative,
+          this.options) < this.options.compatibilityThreshold) {
+          home = species;
+          break;
+        }
+      }
+
+      if (!home) {
+        home = {
+          id: this.nextSpecies++,
+          representative: genome.network,
+          best: -Infinity,
+          stagnant: 0,
+          members: [],
+        };
+        this.species.push(home);
+      }
+
+      home.members.push(genome);
+    }
+
+    this.species = this.species.filter((species) =>
+      species.members.length > 0);
+
+    for (const species of this.species) {
+      // The higher the better, whatever the scoreSort.
+      const best = -this.options.scoreSort * species.members[0].score;
+
+      if (best > species.best) {
+        species.best = best;
+        species.stagnant = 0;
+      } else {
+        species.stagnant++;
+      }
+    }
+
+    this.species.sort((a, b) =>
+      scored.indexOf(a.members[0]) - scored.indexOf(b.members[0]));
+    this.species = this.species.filter((species, i) =>
+      i < 2 || species.stagnant < this.options.stagnation);
+  }
+
+  /**
+   * Child of two genomes: matching genes from either parent, disjoint and
+   * excess genes from the fitter one.
+   *
+   * @param fitter Genome data of the fitter parent.
+   * @param other Genome data of the other parent.
+   * @return {nodes, connections} Genome data of the child.
+   */
+  crossover(fitter, other) {
+    const genes = {};
+    for (const connection of other.connections) {
+      genes[connection.innovation] = connection;
+    }
+
+    const child = {
+      nodes: JSON.parse(JSON.stringify(fitter.nodes)),
+      connections: [],
+    };
+
+    for (const connection of fitter.connections) {
+      const match = genes[connection.innovation];
+      const gene = Object.assign({},
+        match && this.random.next() < 0.5 ? match : connection);
+
+      if (match && (!connection.enabled || !match.enabled)) {
+        // Disabled in either parent: most likely disabled in the child.
+        gene.enabled = this.random.next() >= 0.75;
+      }
+
+      child.connections.push(gene);
+    }
+
+    return child;
+  }
+
+  /**
+   * Mutate a genome in place: perturb its weights, and maybe add a
+   * connection or a node.
+   *
+   * Mutations are listed like the ones of the ga engine (see Mutations),
+   * genes by innovation or node id: ['weights', innovation, change],
+   * ['connections', innovation, weight] for a new connection and
+   * ['nodes', id, 1] for a new node (the weight into it).
+   *
+   * @param genome Genome data.
+   * @return [[genes, index, change]] - Mutations.
+   */
+  mutate(genome) {
+    const options = this.options;
+    const mutations = [];
+
+    for (const connection of genome.connections) {
+      if (this.random.next() < options.weightMutationRate) {
+        const weight = connection.weight;
+
+        if (this.random.next() < options.weightReplaceRate) {
+          connection.weight = this.random.range(-1, 1);
+        } else {
+          connection.weight += this.random.range(-options.mutationRange,
+            options.mutationRange);
+        }
+        mutations.push(['weights', connection.innovation,
+          connection.weight - weight]);
+      }
+    }
+
+    if (this.random.next() < options.addConnectionRate &&
+      this.addConnection(genome)) {
+      const connection = genome.connections[genome.connections.length - 1];
+
+      mutations.push(['connections', connection.innovation,
+        connection.weight]);
+    }
+
+    if (this.random.next() < options.addNodeRate && this.addNode(genome)) {
+      mutations.push(['nodes', genome.nodes[genome.nodes.length - 1].id, 1]);
+    }
+
+    return mutations;
+  }
+
+  /**
+   * Link two unlinked nodes, without creating a cycle.
+   *
+   * @param genome Genome data.
+   * @return Boolean - False if no new connection was found.
+   */
+  addConnection(genome) {
+    const sources = genome.nodes.filter((node) => node.type !== 'output');
+    const targets = genome.nodes.filter((node) =>
+      node.type === 'hidden' || node.type === 'output');
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const from = sources[Math.floor(this.random.next() * sources.length)].id;
+      const to = targets[Math.floor(this.random.next() * targets.length)].id;
+
+      if (from === to || genome.connections.some((connection) =>
+        connection.from === from && connection.to === to) ||
+        this.reaches(genome, to, from)) {
+        continue;
+      }
+
+      genome.connections.push(
+        this.connection(from, to, this.random.range(-1, 1)));
+
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Split an enabled connection with a new hidden node.
+   *
+   * The connection into the node weighs 1 and the one out of it keeps the
+   * old weight, so the network barely changes.
+   *
+   * @param genome Genome data.
+   * @return Boolean - False if there is no enabled connection.
+   */
+  addNode(genome) {
+    const enabled = genome.connections.filter((connection) =>
+      connection.enabled);
+
+    if (enabled.length === 0) {
+      return false;
+    }
+
+    const split = enabled[Math.floor(this.random.next() * enabled.length)];
+    let id = this.splits[split.innovation];
+
+    if (id === undefined || genome.nodes.some((node) => node.id === id)) {
+      id = this.nextNode++;
+      this.splits[split.innovation] = id;
+    }
+
+    split.enabled = false;
+    genome.nodes.push({id: id, type: 'hidden'});
+    genome.connections.push(this.connection(split.from, id, 1));
+    genome.connections.push(this.connection(id, split.to, split.weight));
+
+    return true;
+  }
+
+  /**
+   * Whether a path of connections leads from a node to another.
+   *
+   * @param genome Genome data.
+   * @param from Start node id.
+   * @param to End node id.
+   * @return Boolean - True if to can be reached from from.
+   */
+  reaches(genome, from, to) {
+    const stack = [from];
+    const seen = {};
+
+    while (stack.length > 0) {
+      const id = stack.pop();
+
+      if (id === to) {
+        return true;
+      }
+      if (seen[id]) {
+        continue;
+      }
+      seen[id] = true;
+
+      for (const connection of genome.connections) {
+        if (connection.from === id) {
+          stack.push(connection.to);
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Create a copy of the NeatBrain state.
+   *
+   * Same as BirdBrain, plus the innovation history and the species.
+   *
+   * @return Object - NeatBrain data.
+   */
+  getSave() {
+    return Object.assign(super.getSave(), JSON.parse(JSON.stringify({
+      innovations: this.innovations,
+      nextInnovation: this.nextInnovation,
+      splits: this.splits,
+      nextNode: this.nextNode,
+      species: this.species,
+      nextSpecies: this.nextSpecies,
+    })));
+  }
+
+  /**
+   * Apply NeatBrain data.
+   *
+   * @param save - Copy of NeatBrain data (see getSave()).
+   * @return void
+   */
+  setSave(save) {
+    this.set(save.options);
+
+    if (save.random !== undefined) {
+      this.random.setState(save.random);
+    }
+
+    this.generations = new Generations(this.options);
+    this.generation = save.generation || 0;
+    this.previous = null;
+    this.best = save.best ?
+      new Genome(save.best.score, save.best.network, save.best.measures) :
+      null;
+    this.stats = save.stats || [];
+    this.history.setSave(save.history || null);
+    this.innovations = save.innovations || {};
+    this.nextInnovation = save.nextInnovation || 0;
+    this.splits = save.splits || {};
+    this.nextNode = save.nextNode || 0;
+    this.species = save.species || [];
+    this.nextSpecies = save.nextSpecies || 0;
+
+    if (save.genomes && save.genomes.length > 0) {
+      const generation = new NeatGeneration(this.options);
+
+      for (const genome of save.genomes) {
+        generation.addGenome(
+          new Genome(genome.score, genome.network, genome.measures));
+
+        // Saves made elsewhere (e.g. champions) may carry unknown genes.
+        for (const connection of genome.network.connections) {
+          const key = `${connection.from}>${connection.to}`;
+
+          if (!this.innovations.hasOwnProperty(key)) {
+            this.innovations[key] = connection.innovation;
+          }
+          this.nextInnovation = Math.max(this.nextInnovation,
+            connection.innovation + 1);
+        }
+        for (const node of genome.network.nodes) {
+          this.nextNode = Math.max(this.nextNode, node.id + 1);
+        }
+      }
+
+      this.generations.generations.push(generation);
+    }
+  }
+}
+
+NeatBrain.defaults = neatDefaults;
+
+Engines.neat = NeatBrain;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    neatDefaults,
+    neatDistance,
+    NeatNetwork,
+    NeatGeneration,
+    NeatBrain,
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Obstacles a course can be made of.
+ *
+ * Each kind spawns the pieces of one obstacle at the right edge of a
+ * Simulation: a pair of pipes (top then bottom) around a gap, plus floating
+ * blocks for some kinds. The kind of every obstacle is drawn from the
+ * obstacles mix of the world, e.g. {plain: 3, oscillating: 1}.
+ */
+const Obstacles = {
+  /**
+   * Still pair of pipes (the original course).
+   */
+  plain: {
+    spawn: (sim, course) => Obstacles.pair(sim, course, 0),
+  },
+
+  /**
+   * Pair whose gap moves up and down, by up to amplitude pixels every period
+   * frames.
+   */
+  oscillating: {
+    amplitude: 40,
+    period: 120,
+    spawn: (sim, course) => {
+      const room = sim.height - sim.world.deltaBord * 2 - course.pipeHole;
+      const amplitude = Math.min(Obstacles.oscillating.amplitude, room / 2);
+      const pieces = Obstacles.pair(sim, course, amplitude);
+      const phase = sim.random.next() * Math.PI * 2;
+
+      for (const pipe of pieces) {
+        pipe.amplitude = amplitude;
+        pipe.period = Obstacles.oscillating.period;
+        pipe.phase = phase;
+      }
+
+      return pieces;
+    },
+  },
+
+  /**
+   * Still pair of pipes between minWidth and maxWidth pixels wide.
+   */
+  widths: {
+    minWidth: 30,
+    maxWidth: 110,
+    spawn: (sim, course) => {
+      const pieces = Obstacles.pair(sim, course, 0);
+      const width = Math.round(sim.random.range(Obstacles.widths.minWidth,
+        Obstacles.widths.maxWidth));
+
+      for (const pipe of pieces) {
+        pipe.width = width;
+      }
+
+      return pieces;
+    },
+  },
+
+  /**
+   * Pair whose pipes close in on the gap by speed pixels a frame, until it
+   * is left with ratio of its height.
+   */
+  closing: {
+    speed: 0.3,
+    ratio: 0.75,
+    spawn: (sim, course) => {
+      const pieces = Obstacles.pair(sim, course, 0);
+
+      for (const pipe of pieces) {
+        pipe.closing = Obstacles.closing.speed;
+        pipe.closed = course.pipeHole * (1 - Obstacles.closing.ratio) / 2;
+      }
+
+      return pieces;
+    },
+  },
+
+  /**
+   * Still pair of pipes, and a size x size block floating halfway to the
+   * next pair, somewhere between the deltaBord margins.
+   */
+  floating: {
+    size: 40,
+    spawn: (sim, course) => {
+      const pieces = Obstacles.pair(sim, course, 0);
+      const size = Obstacles.floating.size;
+      const deltaBord = sim.world.deltaBord;
+      const spacing = course.spawnInterval * course.pipeSpeed;
+
+      pieces.push(new Pipe({
+        x: sim.width + (pieces[0].width + spacing - size) / 2,
+        y: Math.round(sim.random.next() *
+          Math.max(0, sim.height - deltaBord * 2 - size)) + deltaBord,
+        width: size,
+        height: size,
+        speed: course.pipeSpeed,
+        role: 'block',
+      }));
+
+      return pieces;
+    },
+  },
+
+  /**
+   * Top and bottom pipes around a gap of the course, drawn between the
+   * deltaBord margins.
+   *
+   * @param sim Simulation spawning the pair.
+   * @param course Course of the pair ({pipeHole, pipeSpeed, ...}).
+   * @param margin Extra room kept between the gap and the margins.
+   * @return [Pipe] - Top and bottom pipes.
+   */
+  pair: (sim, course, margin) => {
+    const deltaBord = sim.world.deltaBord + margin;
+    const pipeHole = course.pipeHole;
+    const holePosition = Math.round(sim.random.next() *
+      (sim.height - deltaBord * 2 - pipeHole)) + deltaBord;
+
+    return [
+      new Pipe({
+        x: sim.width,
+        y: 0,
+        height: holePosition,
+        speed: course.pipeSpeed,
+        role: 'top',
+        edge: holePosition,
+      }),
+      new Pipe({
+        x: sim.width,
+        y: holePosition + pipeHole,
+        height: sim.height,
+        speed: course.pipeSpeed,
+        role: 'bottom',
+        edge: holePosition + pipeHole,
+      }),
+    ];
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Obstacles};
+}
@@ -0,0 +1,120 @@
+class Random {
+  /**
+   * Seedable pseudo-random number generator (mulberry32).
+   *
+   * Every random draw of the brains and of the world goes through an
+   * instance of this class, so a run is reproduced by reusing its seed.
+   *
+   * @constructor
+   * @param seed Integer or string seed (a random one if omitted).
+   */
+  constructor(seed) {
+    this.seed = (seed === undefined || seed === null || seed === '') ?
+      Random.seed() :
+      Random.normalize(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Pick a random seed.
+   *
+   * @return Number - Unsigned 32 bits integer.
+   */
+  static seed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Turn a number or a string into an unsigned 32 bits seed.
+   *
+   * Numeric strings keep their value, so '42' and 42 are the same seed.
+   * Other strings are hashed (FNV-1a).
+   *
+   * @param seed Integer or string seed.
+   * @return Number - Unsigned 32 bits integer.
+   */
+  static normalize(seed) {
+    if (typeof seed === 'number' || /^\d+$/.test(seed)) {
+      return Number(seed) >>> 0;
+    }
+
+    let hash = 2166136261;
+
+    for (let i = 0; i < seed.length; i++) {
+      hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+    }
+
+    return hash >>> 0;
+  }
+
+  /**
+   * Returns a random value between 0 (inclusive) and 1 (exclusive).
+   *
+   * @return Number - random output.
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) | 0;
+
+    let t = this.state;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns a random value between min (inclusive) and max (exclusive).
+   *
+   * @param min Lower bound.
+   * @param max Upper bound.
+   * @return Number - random output.
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Returns a normally distributed value (mean 0, standard deviation 1).
+   *
+   * @return Number - random output.
+   */
+  gaussian() {
+    // Box-Muller transform, 1 - next() keeps the logarithm finite.
+    const u = 1 - this.next();
+    const v = this.next();
+
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Create an independent generator seeded from this one.
+   *
+   * @return Random - New generator.
+   */
+  fork() {
+    return new Random(Math.floor(this.next() * 4294967296));
+  }
+
+  /**
+   * Current position in the sequence, to resume it with setState().
+   *
+   * @return Number - Internal state.
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Resume the sequence from a state returned by getState().
+   *
+   * @param state Internal state.
+   * @return void
+   */
+  setState(state) {
+    this.state = state | 0;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Random};
+}
@@ -0,0 +1,419 @@
+class Recorder {
+  /**
+   * Recorder class.
+   *
+   * Logs the courses of a Simulation (or of an Arena restarting its
+   * populations together) as replay snapshots: the seeds, the obstacles
+   * spawned and the frames every bird flapped on, enough for a Replay to
+   * play the course again without the networks. Set it as the recorder of a
+   * simulation; it keeps the last courses, and the one lasting the longest.
+   *
+   * @constructor
+   * @param limit Number of last courses kept (Recorder.limit if omitted).
+   */
+  constructor(limit) {
+    this.limit = limit || Recorder.limit;
+    this.replays = []; // Last courses, oldest first.
+    this.best = null; // Course lasting the most frames.
+    this.current = null; // Course being recorded.
+  }
+
+  /**
+   * Start recording a course, on its first frame.
+   *
+   * @param simulation Simulation whose course starts.
+   * @return void
+   */
+  begin(simulation) {
+    this.current = {
+      format: Snapshot.format,
+      version: Snapshot.version,
+      type: 'replay',
+      seed: simulation.brain.options.seed,
+      course: simulation.random.getState(), // State of the course generator.
+      generation: simulation.generation,
+      world: JSON.parse(JSON.stringify(simulation.world)),
+      frames: 0,
+      spawns: [], // [frame, [pieces]] of every obstacle spawned.
+      birds: simulation.birds.map((bird) => ({
+        hue: bird.hue || 0,
+        player: !!bird.player,
+        flaps: [], // Frames it flapped on.
+      })),
+    };
+  }
+
+  /**
+   * Log a bird flapping this frame.
+   *
+   * @param simulation Simulation of the bird.
+   * @param i Index of the bird.
+   * @return void
+   */
+  flap(simulation, i) {
+    if (this.current) {
+      this.current.birds[i].flaps.push(simulation.score);
+    }
+  }
+
+  /**
+   * Log the pieces of an obstacle spawned this frame.
+   *
+   * @param simulation Simulation spawning them.
+   * @param pieces Pipes and blocks of the obstacle.
+   * @return void
+   */
+  spawn(simulation, pieces) {
+    if (this.current) {
+      this.current.spawns.push([simulation.score, pieces.map(Recorder.piece)]);
+    }
+  }
+
+  /**
+   * Keep the course once every bird is dead.
+   *
+   * @param simulation Simulation whose course ends.
+   * @return Object - Replay snapshot of the course.
+   */
+  end(simulation) {
+    const replay = this.current;
+
+    if (!replay) {
+      return null;
+    }
+
+    replay.frames = simulation.score;
+    replay.birds.forEach((bird, i) => {
+      bird.death = simulation.birds[i].score; // Frame it died on.
+      bird.pipes = simulation.birds[i].pipesPassed;
+      bird.flaps = Recorder.pack(bird.flaps);
+    });
+
+    this.current = null;
+    this.replays.push(replay);
+    if (this.replays.length > this.limit) {
+      this.replays.shift();
+    }
+
+    if (!this.best || replay.frames > this.best.frames) {
+      this.best = replay;
+    }
+
+    return replay;
+  }
+
+  /**
+   * A course kept.
+   *
+   * @param which 'last' or 'best'.
+   * @return Object - Replay snapshot.
+   */
+  get(which) {
+    const replay = which === 'best' ?
+      this.best :
+      this.replays[this.replays.length - 1];
+
+    if (!replay) {
+      throw new Error('Recorder: no course has been recorded yet.');
+    }
+
+    return replay;
+  }
+
+  /**
+   * Properties of a piece which differ from the ones of a new Pipe.
+   *
+   * @param pipe Pipe or block just spawned.
+   * @return Object - Properties to spawn it again.
+   */
+  static piece(pipe) {
+    const piece = {};
+
+    for (const key in Recorder.pipe) {
+      if (pipe[key] !== Recorder.pipe[key]) {
+        piece[key] = pipe[key];
+      }
+    }
+
+    return piece;
+  }
+
+  /**
+   * Compact frames: the gaps between them in base 36, a gap repeated n
+   * times (e.g. flapping every frame) written gap*n.
+   *
+   * @param frames Increasing frames.
+   * @return String - Packed frames, e.g. '1k,h,1*12,i'.
+   */
+  static pack(frames) {
+    const out = [];
+
+    for (let i = 0; i < frames.length;) {
+      const gap = frames[i] - (i > 0 ? frames[i - 1] : 0);
+      let count = 1;
+
+      while (i + count < frames.length &&
+        frames[i + count] - frames[i + count - 1] === gap) {
+        count++;
+      }
+
+      out.push(gap.toString(36) + (count > 1 ? `*${count.toString(36)}` : ''));
+      i += count;
+    }
+
+    return out.join(',');
+  }
+
+  /**
+   * Frames packed by pack().
+   *
+   * @param text Packed frames.
+   * @return [Number] - Increasing frames.
+   */
+  static unpack(text) {
+    const frames = [];
+    let frame = 0;
+
+    for (const run of text ? text.split(',') : []) {
+      const [gap, count] = run.split('*');
+
+      for (let i = 0; i < (count ? parseInt(count, 36) : 1); i++) {
+        frame += parseInt(gap, 36);
+        frames.push(frame);
+      }
+    }
+
+    return frames;
+  }
+}
+
+// Courses kept besides the best one.
+Recorder.limit = 10;
+
+// Pipe the spawned pieces are compared with.
+Recorder.pipe = new Pipe();
+
+class Replay {
+  /**
+   * Replay class.
+   *
+   * Plays a course logged by a Recorder again: the birds flap on the frames
+   * they did, under the physics of the recorded world, among the obstacles
+   * spawned then. It can play at a rate (slow motion below 1), pause, step
+   * one frame and seek any frame. The bird lasting the longest is the focus.
+   *
+   * @constructor
+   * @param data Replay snapshot.
+   */
+  constructor(data) {
+    Snapshot.check(data);
+
+    if (data.type !== 'replay') {
+      throw new Error('Replay: not a replay snapshot.');
+    }
+
+    this.data = data;
+    this.flaps = data.birds.map((bird) => Recorder.unpack(bird.flaps));
+    this.best = 0; // Index of the bird lasting the longest.
+    data.birds.forEach((bird, i) => {
+      if (bird.death > data.birds[this.best].death) {
+        this.best = i;
+      }
+    });
+
+    this.playing = false;
+    this.rate = 1; // Frames played every update.
+    this.clock = 0; // Frames due, when slower than 1.
+    this.rewind();
+  }
+
+  /**
+   * Back to the first frame.
+   *
+   * @return void
+   */
+  rewind() {
+    const world = this.data.world;
+
+    this.frame = 0; // Frames played.
+    this.birds = this.data.birds.map((bird) => new Bird({
+      velocity: world.velocity,
+      jump: world.jump,
+      hue: bird.hue,
+      player: bird.player,
+    }));
+    this.pipes = [];
+    this.blocks = [];
+    this.alives = this.birds.length;
+    this.spawned = 0; // Spawns played.
+    this.flapped = this.birds.map(() => 0); // Flaps played, by bird.
+  }
+
+  /**
+   * Play one frame, like Simulation.update().
+   *
+   * @return void
+   */
+  step() {
+    if (this.frame >= this.data.frames) {
+      this.playing = false;
+      return;
+    }
+
+    const frame = this.frame;
+    const spawns = this.data.spawns;
+
+    for (let i = 0; i < this.birds.length; i++) {
+      const bird = this.birds[i];
+
+      if (bird.alive) {
+        if (this.flaps[i][this.flapped[i]] === frame) {
+          bird.flap();
+          this.flapped[i]++;
+        }
+
+        bird.update();
+
+        if (this.data.birds[i].death === frame) {
+          bird.die(frame, this.data.birds[i].pipes);
+          this.alives--;
+        }
+      }
+    }
+
+    for (const pieces of [this.pipes, this.blocks]) {
+      for (let i = 0; i < pieces.length; i++) {
+        pieces[i].update();
+
+        if (pieces[i].isOut()) {
+          pieces.splice(i, 1);
+          i--;
+        }
+      }
+    }
+
+    while (this.spawned < spawns.length &&
+      spawns[this.spawned][0] === frame) {
+      for (const piece of spawns[this.spawned][1]) {
+        (piece.role === 'block' ? this.blocks : this.pipes)
+          .push(new Pipe(piece));
+      }
+      this.spawned++;
+    }
+
+    this.frame++;
+  }
+
+  /**
+   * Go to a frame, playing the course again from the start if it is behind.
+   *
+   * @param frame Frame to go to (clamped to the course).
+   * @return void
+   */
+  seek(frame) {
+    const target = Math.max(0, Math.min(this.data.frames, Math.round(frame)));
+
+    if (target < this.frame) {
+      this.rewind();
+    }
+
+    while (this.frame < target) {
+      this.step();
+    }
+  }
+
+  /**
+   * Play or pause, starting over once the end was reached.
+   *
+   * @return void
+   */
+  toggle() {
+    if (!this.playing && this.frame >= this.data.frames) {
+      this.rewind();
+    }
+
+    this.playing = !this.playing;
+  }
+
+  /**
+   * Play the frames due at the current rate, if playing.
+   *
+   * @return void
+   */
+  tick() {
+    if (!this.playing) {
+      return;
+    }
+
+    this.clock += this.rate;
+    while (this.clock >= 1 && this.playing) {
+      this.clock--;
+      this.step();
+    }
+  }
+
+  /**
+   * Pipes passed so far, counted like Simulation.updatePipes() does.
+   *
+   * @return Number - Pipes passed.
+   */
+  pipesPassed() {
+    const spawns = this.data.spawns;
+    let count = 0;
+
+    while (count < spawns.length && spawns[count][0] <= this.frame) {
+      count++;
+    }
+
+    return Math.max(0, count - 1);
+  }
+
+  /**
+   * Frame to draw, like the ones of Runner.frame(), the best bird being the
+   * focus, with the state of the playback.
+   *
+   * @return {type, birds, pipes, blocks, hud, focus, replay} Frame.
+   */
+  view() {
+    const frame = Runner.scene(this);
+    const bird = this.birds[this.best];
+
+    frame.hud = {
+      pipes: this.pipesPassed(),
+      record: this.data.birds[this.best].pipes,
+      generation: this.data.generation,
+      alives: this.alives,
+      population: this.birds.length,
+      seed: this.data.seed,
+      level: null,
+      populations: null,
+      restart: null,
+      migration: null,
+    };
+    frame.focus = {
+      x: bird.x,
+      y: bird.y,
+      width: bird.width,
+      height: bird.height,
+      alive: bird.alive,
+      network: null,
+      labels: null,
+      caption: `Best bird #${this.best + 1}`,
+    };
+    frame.replay = {
+      frame: this.frame,
+      frames: this.data.frames,
+      rate: this.rate,
+      playing: this.playing,
+    };
+
+    return frame;
+  }
+}
+
+// Playback rates, from normal speed to slow motion.
+Replay.rates = [1, 0.5, 0.25, 0.1];
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Recorder, Replay};
+}
@@ -0,0 +1,406 @@
+class Runner {
+  /**
+   * Runner class.
+   *
+   * Drives a training Simulation (or Arena) on its own schedule and reports
+   * it through messages, so the page only has to draw them. It runs in the
+   * training Web Worker (js/Worker.js), or on the main thread when workers
+   * are not available.
+   *
+   * Commands ({type, ...}):
+   * - init {brains, world, restart, islands}: new brains (one per
+   *   population, from their options) and a new simulation, Islands with
+   *   the migration options of islands if given.
+   * - speed {fps, turbo}: frames per second (0 as fast as possible, still
+   *   reporting about 60 frames a second), or turbo: as fast as possible,
+   *   reporting a sampled frame now and then.
+   * - pause {paused}.
+   * - reset: new brains from the init options.
+   * - options {options}: set options of every brain (next generations).
+   * - select {x, y}: follow the bird at (x, y).
+   * - save {id}: population snapshot of the first brain.
+   * - restore {data}: apply a snapshot to the first brain and start over.
+   * - replay {id, which}: replay snapshot of the 'last' or the 'best'
+   *   course recorded since the brains were created.
+   *
+   * Messages: frame (see Runner.frame()), stats {rows, reset, champion,
+   * lineage} when generations are scored (lineage: Chronicle entries of the
+   * new champion and of its ancestors, see Chronicle.ancestors()), save
+   * {id, save}, replay {id, replay} and error {message}.
+   *
+   * @constructor
+   * @param post Called with every message.
+   */
+  constructor(post) {
+    this.post = post;
+    this.init = null; // Last init command.
+    this.brains = [];
+    this.simulation = null;
+    this.recorder = null; // Recorder of the courses, if they end.
+    this.fps = 60;
+    this.turbo = false;
+    this.paused = false;
+    this.timer = null;
+    this.selected = null; // Bird clicked to be visualized.
+    this.sentStats = 0; // Stats rows already posted.
+    this.sentBest = null; // Champion already posted.
+  }
+
+  /**
+   * Apply a command, posting an error message if it fails.
+   *
+   * @param message Command ({type, ...}).
+   * @return void
+   */
+  command(message) {
+    try {
+      switch (message.type) {
+        case 'init':
+          this.init = message;
+          this.reset();
+          break;
+        case 'reset':
+          this.reset();
+          break;
+        case 'speed':
+          this.fps = message.fps;
+          this.turbo = !!message.turbo;
+          this.schedule();
+          break;
+        case 'pause':
+          this.paused = !!message.paused;
+          this.schedule();
+          break;
+        case 'options':
+          for (const brain of this.brains) {
+            brain.set(message.options);
+          }
+          break;
+        case 'select':
+          this.selected = Runner.select(this.simulation, message.x,
+            message.y) || this.selected;
+          this.report();
+          break;
+        case 'save':
+          this.post({
+            type: 'save',
+            id: message.id,
+            save: Snapshot.population(this.brains[0]),
+          });
+          break;
+        case 'restore':
+          Snapshot.restore(this.brains[0], message.data);
+          this.start();
+          break;
+        case 'replay':
+          if (!this.recorder) {
+            throw new Error('Runner: courses restarting independently ' +
+              'are not recorded.');
+          }
+
+          this.post({
+            type: 'replay',
+            id: message.id,
+            replay: this.recorder.get(message.which),
+          });
+          break;
+        default:
+          throw new Error(`Runner: unknown command "${message.type}".`);
+      }
+    } catch (e) {
+      this.post({type: 'error', id: message.id, message: e.message});
+    }
+  }
+
+  /**
+   * New brains and simulation from the init command.
+   *
+   * @return void
+   */
+  reset() {
+    if (!this.init) {
+      throw new Error('Runner: not initialized.');
+    }
+
+    const world = this.init.world;
+
+    this.brains = this.init.brains.map((options) => createBrain(options));
+    if (this.init.islands) {
+      this.simulation = new Islands(this.brains, world, this.init.islands);
+    } else {
+      this.simulation = this.brains.length > 1 ?
+        new Arena(this.brains, world, this.init.restart) :
+        new Simulation(this.brains[0], world);
+    }
+    // An independent restart never ends the course, nothing to replay.
+    this.recorder = this.simulation.restart === 'independent' ?
+      null :
+      new Recorder();
+    this.simulation.recorder = this.recorder;
+    this.start();
+  }
+
+  /**
+   * Start the simulation from the current state of its brains.
+   *
+   * @return void
+   */
+  start() {
+    this.simulation.start();
+    this.selected = null;
+    this.sentStats = -1; // Send every row again.
+    this.sentBest = null;
+    this.report();
+    this.schedule();
+  }
+
+  /**
+   * Plan the next tick.
+   *
+   * @return void
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.paused || !this.simulation) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.tick();
+    }, this.turbo || this.fps === 0 ? 0 : 1000 / this.fps);
+  }
+
+  /**
+   * Run one frame, or as many frames as fit in a time slice when running
+   * fast, then report.
+   *
+   * @return void
+   */
+  tick() {
+    if (this.turbo || this.fps === 0) {
+      const end = Date.now() +
+        (this.turbo ? Runner.turboSlice : Runner.fastSlice);
+
+      do {
+        this.simulation.update();
+      } while (Date.now() < end);
+    } else {
+      this.simulation.update();
+    }
+
+    this.report();
+    this.schedule();
+  }
+
+  /**
+   * Post the current frame, and the stats scored since the last report.
+   *
+   * @return void
+   */
+  report() {
+    const brain = this.brains[0];
+
+    this.post(Runner.frame(this.simulation, this.selected));
+
+    if (brain.stats.length !== this.sentStats || brain.best !== this.sentBest) {
+      const reset = this.sentStats < 0 || brain.stats.length < this.sentStats;
+      const champion = brain.best && brain.best !== this.sentBest;
+
+      this.post({
+        type: 'stats',
+        reset: reset,
+        rows: brain.stats.slice(reset ? 0 : this.sentStats),
+        champion: champion ? Snapshot.champion(brain) : null,
+        lineage: champion && brain.best.network ?
+          brain.history.ancestors(brain.best.network.id, Runner.lineageDepth) :
+          null,
+      });
+      this.sentStats = brain.stats.length;
+      this.sentBest = brain.best;
+    }
+  }
+
+  /**
+   * Compact snapshot of a simulation, enough to draw it.
+   *
+   * Birds alive are flattened by 7 (x, y, width, height, gravity, hue,
+   * player), pipes by 4 (x, y, width, height; top pipes at even positions),
+   * floating blocks by 4 too. The focus is the bird to visualize, with a
+   * copy of its network.
+   *
+   * @param simulation Simulation, Arena or Match.
+   * @param selected Bird clicked, if any.
+   * @return {type, birds, pipes, blocks, hud, focus} Frame.
+   */
+  static frame(simulation, selected) {
+    const focus = Runner.focus(simulation, selected);
+    const frame = Runner.scene(simulation);
+
+    frame.hud = Runner.hud(simulation);
+    frame.focus = null;
+
+    if (focus !== -1) {
+      const bird = simulation.birds[focus];
+
+      frame.focus = {
+        x: bird.x,
+        y: bird.y,
+        width: bird.width,
+        height: bird.height,
+        alive: bird.alive,
+        network: Runner.view(simulation.gen[focus]),
+        labels: simulation.perceptionOf(focus).labels(),
+        caption: `Bird #${focus + 1}` +
+          `${bird === selected ? ' (clicked)' : ''}` +
+          `${bird.alive ? '' : ' - dead'}`,
+      };
+    }
+
+    return frame;
+  }
+
+  /**
+   * Birds alive and obstacles of a frame, flattened (see Runner.frame()).
+   *
+   * @param simulation Simulation, Arena, Match or Replay.
+   * @return {type, birds, pipes, blocks} Frame without HUD nor focus.
+   */
+  static scene(simulation) {
+    const birds = [];
+    const pipes = [];
+    const blocks = [];
+
+    for (const bird of simulation.birds) {
+      if (bird.alive) {
+        birds.push(bird.x, bird.y, bird.width, bird.height, bird.gravity,
+          bird.hue || 0, bird.player ? 1 : 0);
+      }
+    }
+
+    for (const pipe of simulation.pipes) {
+      pipes.push(pipe.x, pipe.y, pipe.width, pipe.height);
+    }
+
+    for (const block of simulation.blocks) {
+      blocks.push(block.x, block.y, block.width, block.height);
+    }
+
+    return {type: 'frame', birds: birds, pipes: pipes, blocks: blocks};
+  }
+
+  /**
+   * Figures of the HUD.
+   *
+   * @param simulation Simulation, Arena or Match.
+   * @return {pipes, record, generation, alives, population, seed, level,
+   * populations, restart, migration} HUD figures (level with a curriculum,
+   * populations and restart for an Arena, migration for Islands).
+   */
+  static hud(simulation) {
+    return {
+      pipes: simulation.pipesPassed,
+      record: simulation.maxPipesPassed,
+      generation: simulation.generation,
+      alives: simulation.alives,
+      population: simulation.brain.options.population,
+      seed: simulation.brain.options.seed,
+      level: simulation.world.curriculum ? simulation.level : null,
+      populations: simulation.populations ?
+        simulation.populations.map((population) => ({
+          name: population.name,
+          hue: population.hue,
+          pipes: simulation.pipesOf(population),
+          generation: population.generation,
+          alives: population.alives,
+          size: population.birds.length,
+          record: simulation.recordOf(population),
+        })) :
+        null,
+      restart: simulation.restart || null,
+      migration: simulation.migration ?
+        Object.assign({count: simulation.migrations}, simulation.migration) :
+        null,
+    };
+  }
+
+  /**
+   * Copy of a network the Visualizer can draw: its layers with their
+   * weights and activations, or its graph.
+   *
+   * @param network Network or NeatNetwork.
+   * @return Object - {layers} or {nodes, edges}.
+   */
+  static view(network) {
+    if (network.graph) {
+      return network.graph();
+    }
+
+    return {
+      layers: network.layers.map((layer) => ({
+        neurons: layer.neurons.map((neuron) => ({
+          value: neuron.value,
+          weights: neuron.weights.slice(),
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Bird at (x, y) with a network to visualize, if any.
+   *
+   * @param simulation Simulation holding the birds.
+   * @param x Abscissa on the canvas.
+   * @param y Ordinate on the canvas.
+   * @return Bird - Bird found, or null.
+   */
+  static select(simulation, x, y) {
+    for (let i = 0; i < simulation.birds.length; i++) {
+      const bird = simulation.birds[i];
+
+      if (bird.alive && simulation.gen[i] &&
+        x >= bird.x - 5 && x <= bird.x + bird.width + 5 &&
+        y >= bird.y - 5 && y <= bird.y + bird.height + 5) {
+        return bird;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Index of the bird to visualize: the one clicked if it is still around,
+   * otherwise the first one alive, whose network comes from the best parent.
+   *
+   * @param simulation Simulation holding the birds.
+   * @param selected Bird clicked, if any.
+   * @return Number - Index of the bird, -1 if none.
+   */
+  static focus(simulation, selected) {
+    const index = simulation.birds.indexOf(selected);
+
+    if (index !== -1) {
+      return index;
+    }
+
+    for (let i = 0; i < simulation.birds.length; i++) {
+      if (simulation.birds[i].alive && simulation.gen[i]) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+}
+
+// Generations of ancestors posted with a new champion.
+Runner.lineageDepth = 8;
+
+// Time slices (ms) of the fast (x100) and turbo speeds.
+Runner.fastSlice = 12;
+Runner.turboSlice = 250;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Runner};
+}
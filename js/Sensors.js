@@ -0,0 +1,246 @@
+/**
+ * Sensors a bird can feed its network with.
+ *
+ * Each sensor tells how many inputs it provides for its spec and reads them
+ * for one bird of a Simulation. A spec is a sensor name, or an object with a
+ * type and the sensor parameters, e.g. {type: 'rays', count: 7}.
+ */
+const Sensors = {
+  /**
+   * Height of the bird (relative to the world).
+   */
+  birdY: {
+    size: () => 1,
+    read: (sim, bird) => [bird.y / sim.height],
+  },
+
+  /**
+   * Height of the top pipe of the next pair (relative to the world).
+   */
+  nextHole: {
+    size: () => 1,
+    read: (sim, bird) => {
+      const pair = sim.pairsAhead(bird)[0];
+
+      return [pair ? pair.top.height / sim.height : 0];
+    },
+  },
+
+  /**
+   * Horizontal distance to the next pair (relative to the world width).
+   */
+  pipeDistance: {
+    size: () => 1,
+    read: (sim, bird) => {
+      const pair = sim.pairsAhead(bird)[0];
+
+      return [pair ? (pair.top.x - bird.x) / sim.width : 1];
+    },
+  },
+
+  /**
+   * Vertical velocity of the bird (a jump is -0.6).
+   */
+  velocity: {
+    size: () => 1,
+    read: (sim, bird) => [bird.gravity / 10],
+  },
+
+  /**
+   * Distances from the bird to the top and the bottom of the next gap
+   * (relative to the world, positive when the edge is below the bird).
+   */
+  gap: {
+    size: () => 2,
+    labels: () => ['gapTop', 'gapBottom'],
+    read: (sim, bird) => {
+      const pair = sim.pairsAhead(bird)[0];
+
+      if (!pair) {
+        return [0, 0];
+      }
+
+      return [
+        (pair.top.y + pair.top.height - bird.y) / sim.height,
+        (pair.bottom.y - bird.y - bird.height) / sim.height,
+      ];
+    },
+  },
+
+  /**
+   * Height of the center of the gap after the next one (relative to the
+   * world).
+   */
+  nextNextGap: {
+    size: () => 1,
+    read: (sim, bird) => {
+      const pair = sim.pairsAhead(bird)[1];
+
+      if (!pair) {
+        return [0.5];
+      }
+
+      return [
+        (pair.top.y + pair.top.height + pair.bottom.y) / 2 / sim.height,
+      ];
+    },
+  },
+
+  /**
+   * Distances to the first obstacle (pipe, block, floor or ceiling) along rays
+   * fanned out in front of the bird (relative to the ray length).
+   *
+   * Spec parameters: count (5), spread (PI / 2 radians) and length (world
+   * width).
+   */
+  rays: {
+    size: (spec) => spec.count || 5,
+    read: (sim, bird, spec) => {
+      const count = spec.count || 5;
+      const spread = spec.spread === undefined ? Math.PI / 2 : spec.spread;
+      const length = spec.length || sim.width;
+      const x = bird.x + bird.width / 2;
+      const y = bird.y + bird.height / 2;
+      const out = [];
+
+      for (let i = 0; i < count; i++) {
+        const angle = count === 1 ?
+          0 :
+          -spread / 2 + spread * i / (count - 1);
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        let distance = length;
+
+        // Ceiling and floor.
+        if (dy < 0) {
+          distance = Math.min(distance, -y / dy);
+        } else if (dy > 0) {
+          distance = Math.min(distance, (sim.height - y) / dy);
+        }
+
+        for (const pipe of sim.obstacles()) {
+          distance = Math.min(distance,
+            Sensors.rays.hit(x, y, dx, dy, pipe));
+        }
+
+        out.push(distance / length);
+      }
+
+      return out;
+    },
+
+    /**
+     * Distance along a ray to a rectangle (slab method).
+     *
+     * @return Number - Distance, Infinity when the ray misses it.
+     */
+    hit: (x, y, dx, dy, rect) => {
+      let near = 0;
+      let far = Infinity;
+      const slabs = [
+        [x, dx, rect.x, rect.x + rect.width],
+        [y, dy, rect.y, rect.y + rect.height],
+      ];
+
+      for (const [origin, direction, min, max] of slabs) {
+        if (direction === 0) {
+          if (origin < min || origin > max) {
+            return Infinity;
+          }
+        } else {
+          let t1 = (min - origin) / direction;
+          let t2 = (max - origin) / direction;
+
+          if (t1 > t2) {
+            [t1, t2] = [t2, t1];
+          }
+
+          near = Math.max(near, t1);
+          far = Math.min(far, t2);
+        }
+      }
+
+      return near <= far ? near : Infinity;
+    },
+  },
+};
+
+class Perception {
+  /**
+   * Perception class.
+   *
+   * The ordered set of sensors feeding the input layer of the networks.
+   *
+   * @constructor
+   * @param specs Sensor specs (names or {type, ...parameters}), the
+   * original [birdY, nextHole] pair if omitted.
+   */
+  constructor(specs) {
+    this.specs = (specs || Perception.defaults).map((spec) => {
+      const normalized = typeof spec === 'string' ? {type: spec} : spec;
+
+      if (!normalized || !Sensors.hasOwnProperty(normalized.type)) {
+        throw new Error(`Perception: unknown sensor "${
+          normalized ? normalized.type : normalized}".`);
+      }
+
+      return normalized;
+    });
+
+    this.size = 0;
+    for (const spec of this.specs) {
+      this.size += Sensors[spec.type].size(spec);
+    }
+  }
+
+  /**
+   * Name of every input, e.g. to label the input layer.
+   *
+   * Sensors with several inputs are numbered unless they name them.
+   *
+   * @return [] - Input names.
+   */
+  labels() {
+    let labels = [];
+
+    for (const spec of this.specs) {
+      const sensor = Sensors[spec.type];
+      const size = sensor.size(spec);
+
+      if (sensor.labels) {
+        labels = labels.concat(sensor.labels(spec));
+      } else if (size === 1) {
+        labels.push(spec.type);
+      } else {
+        for (let i = 1; i <= size; i++) {
+          labels.push(`${spec.type} ${i}`);
+        }
+      }
+    }
+
+    return labels;
+  }
+
+  /**
+   * Read every sensor for a bird.
+   *
+   * @param sim Simulation the bird lives in.
+   * @param bird Bird to read the sensors of.
+   * @return [] - Inputs of the network.
+   */
+  read(sim, bird) {
+    let inputs = [];
+
+    for (const spec of this.specs) {
+      inputs = inputs.concat(Sensors[spec.type].read(sim, bird, spec));
+    }
+
+    return inputs;
+  }
+}
+
+Perception.defaults = ['birdY', 'nextHole'];
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Sensors, Perception};
+}
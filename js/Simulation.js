@@ -0,0 +1,768 @@
+class Bird {
+  /**
+   * Bird class.
+   *
+   * A single flapping bird, positioned by its top left corner.
+   *
+   * @constructor
+   * @param json Properties overriding the default ones.
+   */
+  constructor(json) {
+    this.x = 80;
+    this.y = 250;
+    this.width = 40;
+    this.height = 30;
+
+    this.alive = true;
+    this.flaps = 0;
+    this.age = 0; // Frames flown.
+    this.trail = []; // Heights every Bird.trailInterval frames.
+    this.gravity = 0;
+    this.velocity = 0.3;
+    this.jump = -6;
+
+    this.init(json);
+  }
+
+  init(json) {
+    for (const i in json) {
+      this[i] = json[i];
+    }
+  }
+
+  flap() {
+    this.gravity = this.jump;
+    this.flaps++;
+  }
+
+  /**
+   * Kill the Bird, keeping the frames and the pipes it went through.
+   *
+   * @param score Frames survived.
+   * @param pipesPassed Pipes passed.
+   * @return void
+   */
+  die(score, pipesPassed) {
+    this.alive = false;
+    this.score = score;
+    this.pipesPassed = pipesPassed;
+  }
+
+  update() {
+    this.gravity += this.velocity;
+    this.y += this.gravity;
+
+    if (this.age % Bird.trailInterval === 0 &&
+      this.trail.length < Bird.trailLength) {
+      this.trail.push(this.y);
+    }
+    this.age++;
+  }
+
+  /**
+   * Check if the Bird left the world or hit an obstacle.
+   *
+   * Obstacles are rectangles, moving ones being checked where they are this
+   * frame.
+   *
+   * @param height Height of the world.
+   * @param pipes Pipes and floating blocks of the world.
+   * @return Boolean - True if the Bird is dead.
+   */
+  isDead(height, pipes) {
+    if (this.y >= height || this.y + this.height <= 0) {
+      return true;
+    }
+
+    for (const i in pipes) {
+      if (this.hits(pipes[i])) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check if the Bird overlaps an obstacle.
+   *
+   * @param pipe Pipe or block.
+   * @return Boolean - True on a collision.
+   */
+  hits(pipe) {
+    return !(
+      this.x > pipe.x + pipe.width ||
+      this.x + this.width < pipe.x ||
+      this.y > pipe.y + pipe.height ||
+      this.y + this.height < pipe.y
+    );
+  }
+}
+
+// Frames between two heights of the trail of a Bird, and most heights kept.
+Bird.trailInterval = 10;
+Bird.trailLength = 50;
+
+class Pipe {
+  /**
+   * Pipe class.
+   *
+   * One half (top or bottom) of a pipe pair scrolling to the left, or a
+   * floating block (see Obstacles).
+   *
+   * The gap edge of a pipe (the bottom of a top pipe, the top of a bottom
+   * one) can oscillate, and close in on the gap, as the pipe gets older.
+   *
+   * @constructor
+   * @param json Properties overriding the default ones.
+   */
+  constructor(json) {
+    this.x = 0;
+    this.y = 0;
+    this.width = 50;
+    this.height = 40;
+    this.speed = 3;
+
+    this.role = 'top'; // 'top', 'bottom' or 'block'.
+    this.age = 0; // Frames since it spawned.
+    this.edge = 0; // Ordinate of its gap edge when it spawned.
+    this.amplitude = 0; // Pixels the edge oscillates by.
+    this.period = 1; // Frames of an oscillation.
+    this.phase = 0;
+    this.closing = 0; // Pixels the edge closes in by every frame.
+    this.closed = 0; // Most pixels the edge closes in by.
+
+    this.init(json);
+  }
+
+  init(json) {
+    for (const i in json) {
+      this[i] = json[i];
+    }
+  }
+
+  update() {
+    this.x -= this.speed;
+    this.age++;
+
+    if (this.amplitude === 0 && this.closing === 0) {
+      return;
+    }
+
+    if (this.role === 'top') {
+      this.height = this.edge + this.offset();
+    } else if (this.role === 'bottom') {
+      this.y = this.edge + this.offset();
+    }
+  }
+
+  /**
+   * How far the gap edge moved down since the pipe spawned.
+   *
+   * @return Number - Offset in pixels (negative when it moved up).
+   */
+  offset() {
+    const wave = this.amplitude *
+      Math.sin(Math.PI * 2 * this.age / this.period + this.phase);
+    const closed = Math.min(this.closing * this.age, this.closed);
+
+    return wave + (this.role === 'bottom' ? -closed : closed);
+  }
+
+  isOut() {
+    return this.x + this.width < 0;
+  }
+}
+
+class Simulation {
+  /**
+   * Simulation class.
+   *
+   * Headless Flappy Bird world: owns the birds, the pipes and the generation
+   * loop of a BirdBrain population, without any knowledge of a canvas or of
+   * a scheduler. Call update() once per frame (from the browser or from
+   * Node) and read the public state to draw it.
+   *
+   * The pipes are placed by a generator forked from the one of the brain, so
+   * the seed of the brain also reproduces the course. Pass world.seed to
+   * race on a course of your own instead.
+   *
+   * The world also sets the course and the physics of the birds (see
+   * Simulation.defaults), the mix of obstacles it is made of, and an
+   * optional curriculum making the course harder as the record grows (see
+   * Simulation.curriculum).
+   *
+   * @constructor
+   * @param brain BirdBrain providing the networks of each generation.
+   * @param world Size of the world ({width, height}), optional seed, course,
+   * physics, obstacles and curriculum.
+   */
+  constructor(brain, world) {
+    if (!world || !(world.width > 0) || !(world.height > 0)) {
+      throw new Error('Simulation: world width and height must be positive.');
+    }
+
+    this.world = this.validate(world);
+    this.brain = brain;
+    this.random = world.seed === undefined ?
+      brain.random.fork() :
+      new Random(world.seed);
+    this.width = world.width;
+    this.height = world.height;
+    this.pipes = []; // Pipe pairs: top pipes at even positions.
+    this.blocks = []; // Floating blocks.
+    this.birds = [];
+    this.gen = [];
+    this.score = 0;
+    this.maxScore = 0;
+    this.pipesPassed = 0;
+    this.maxPipesPassed = 0;
+    this.level = 0; // Difficulty level of the curriculum.
+    this.spawnInterval = this.world.spawnInterval; // Frames to the next pair.
+    this.interval = 0;
+    this.alives = 0;
+    this.generation = 0;
+    this.perception = null;
+    this.recorder = null; // Recorder logging the courses, if any.
+  }
+
+  /**
+   * Complete a world with the defaults and check it.
+   *
+   * @param world World of the constructor.
+   * @return Object - Complete world, its curriculum completed as well.
+   */
+  validate(world) {
+    const complete = Object.assign({}, Simulation.defaults, world);
+
+    if (complete.curriculum) {
+      complete.curriculum = Object.assign({}, Simulation.curriculum,
+        complete.curriculum === true ? {} : complete.curriculum);
+
+      const curriculum = complete.curriculum;
+
+      if (!(curriculum.step > 0)) {
+        throw new Error('Simulation: curriculum step must be positive.');
+      }
+
+      if (!Number.isInteger(curriculum.maxLevel) || curriculum.maxLevel < 0) {
+        throw new Error('Simulation: curriculum maxLevel must be a ' +
+          'non-negative integer.');
+      }
+
+      if (!Number.isInteger(curriculum.spawnInterval) ||
+        !(curriculum.spacing >= 0)) {
+        throw new Error('Simulation: curriculum spawnInterval must be an ' +
+          'integer and spacing non-negative.');
+      }
+    } else {
+      complete.curriculum = null;
+    }
+
+    if (!(complete.velocity > 0) || !(complete.jump < 0)) {
+      throw new Error(
+        'Simulation: velocity must be positive and jump negative.');
+    }
+
+    if (!(complete.deltaBord >= 0)) {
+      throw new Error('Simulation: deltaBord must be non-negative.');
+    }
+
+    const kinds = Object.keys(complete.obstacles || {});
+
+    if (kinds.length === 0 || !kinds.every((kind) =>
+      Obstacles.hasOwnProperty(kind) && kind !== 'pair' &&
+      complete.obstacles[kind] >= 0) ||
+      !kinds.some((kind) => complete.obstacles[kind] > 0)) {
+      throw new Error('Simulation: obstacles must weigh known kinds (' +
+        Simulation.obstacleKinds().join(', ') + ').');
+    }
+
+    if (!Number.isInteger(complete.spawnInterval)) {
+      throw new Error('Simulation: spawnInterval must be an integer.');
+    }
+
+    // Courses change linearly with the level: checking the first and the
+    // last levels checks them all.
+    const levels = [0, complete.curriculum ? complete.curriculum.maxLevel : 0];
+
+    for (const level of levels) {
+      const course = Simulation.course(complete, level);
+
+      if (!(course.pipeHole > 0) ||
+        course.pipeHole + complete.deltaBord * 2 > complete.height) {
+        throw new Error('Simulation: pipeHole must be positive and fit in ' +
+          'the world between the deltaBord margins, at every level.');
+      }
+
+      if (!(course.pipeSpeed > 0)) {
+        throw new Error(
+          'Simulation: pipeSpeed must be positive at every level.');
+      }
+
+      if (!(course.spawnInterval - course.spacing >= 1)) {
+        throw new Error('Simulation: spawnInterval must stay positive at ' +
+          'every level, spacing included.');
+      }
+    }
+
+    return complete;
+  }
+
+  /**
+   * Course of a difficulty level: the base one of the world, changed by
+   * the curriculum for every level.
+   *
+   * @param world Complete world.
+   * @param level Difficulty level (0 for the base course).
+   * @return {pipeHole, pipeSpeed, spawnInterval, spacing} Course, spacing
+   * being the most frames spawnInterval varies by.
+   */
+  static course(world, level) {
+    const curriculum = world.curriculum || {};
+
+    return {
+      pipeHole: world.pipeHole + level * (curriculum.pipeHole || 0),
+      pipeSpeed: world.pipeSpeed + level * (curriculum.pipeSpeed || 0),
+      spawnInterval: world.spawnInterval +
+        level * (curriculum.spawnInterval || 0),
+      spacing: level * (curriculum.spacing || 0),
+    };
+  }
+
+  /**
+   * Kinds of obstacles a world can mix.
+   *
+   * @return [String] - Names of the kinds.
+   */
+  static obstacleKinds() {
+    return Object.keys(Obstacles).filter((kind) => kind !== 'pair');
+  }
+
+  /**
+   * New bird following the physics of the world.
+   *
+   * @param json Properties of the bird (e.g. hue or player).
+   * @return Bird - New bird.
+   */
+  createBird(json) {
+    return new Bird(Object.assign({
+      velocity: this.world.velocity,
+      jump: this.world.jump,
+    }, json));
+  }
+
+  /**
+   * Reset the course and start the next generation of birds.
+   *
+   * @return void
+   */
+  start() {
+    this.reset();
+    this.perceive();
+    this.gen = this.brain.nextGeneration();
+
+    for (let i = 0; i < this.gen.length; i++) {
+      this.birds.push(this.createBird());
+    }
+
+    this.generation = this.brain.generation;
+    this.alives = this.birds.length;
+  }
+
+  /**
+   * Clear the course and the birds.
+   *
+   * @return void
+   */
+  reset() {
+    this.interval = 0;
+    this.score = 0;
+    this.pipesPassed = 0;
+    this.pipes = [];
+    this.blocks = [];
+    this.birds = [];
+  }
+
+  /**
+   * Advance the world by one frame.
+   *
+   * Calls end() once every bird is dead.
+   *
+   * @return void
+   */
+  update() {
+    const obstacles = this.obstacles();
+
+    if (this.recorder && this.score === 0) {
+      this.recorder.begin(this);
+    }
+
+    for (let i = 0; i < this.birds.length; i++) {
+      if (this.birds[i].alive) {
+        if (this.think(i)) {
+          this.birds[i].flap();
+
+          if (this.recorder) {
+            this.recorder.flap(this, i);
+          }
+        }
+
+        this.birds[i].update();
+
+        if (this.birds[i].isDead(this.height, obstacles)) {
+          this.kill(i);
+        }
+      }
+    }
+
+    this.updatePipes();
+
+    this.score++;
+    this.maxScore = Math.max(this.score, this.maxScore);
+
+    if (this.isItEnd()) {
+      this.end();
+    }
+  }
+
+  /**
+   * Let the network of a bird decide whether it flaps.
+   *
+   * @param i Index of the bird.
+   * @return Boolean - True to flap.
+   */
+  think(i) {
+    const inputs = this.perception.read(this, this.birds[i]);
+
+    return this.shouldFlap(this.gen[i].compute(inputs));
+  }
+
+  /**
+   * Called once every bird is dead: starts the next generation.
+   *
+   * @return void
+   */
+  end() {
+    if (this.recorder) {
+      this.recorder.end(this);
+    }
+
+    this.start();
+  }
+
+  /**
+   * Decide whether a bird flaps from the output of its network.
+   *
+   * A single output flaps above 0.5. With several outputs (e.g. a softmax
+   * layer) the bird flaps when the first one is the highest.
+   *
+   * @param outputs Network output.
+   * @return Boolean - True to flap.
+   */
+  shouldFlap(outputs) {
+    if (outputs.length === 1) {
+      return outputs[0] > 0.5;
+    }
+
+    return outputs[0] === Math.max(...outputs);
+  }
+
+  /**
+   * Set up the sensors from the brain options.
+   *
+   * The size of the input layer follows the chosen sensors.
+   *
+   * @return void
+   */
+  perceive() {
+    this.perception = Simulation.perception(this.brain);
+  }
+
+  /**
+   * Sensors feeding the network of a bird.
+   *
+   * @param i Index of the bird.
+   * @return Perception - Sensors of its brain.
+   */
+  perceptionOf(i) {
+    return this.perception;
+  }
+
+  /**
+   * Sensors of a brain, fitting the size of its input layer to them.
+   *
+   * @param brain BirdBrain to set up.
+   * @return Perception - Sensors from the brain options.
+   */
+  static perception(brain) {
+    const network = brain.options.network;
+    const perception = new Perception(brain.options.sensors);
+
+    if (network[0] !== perception.size) {
+      brain.set({
+        network: [perception.size].concat(network.slice(1)),
+      });
+    }
+
+    return perception;
+  }
+
+  /**
+   * Pipe pairs the bird has not passed yet, nearest first.
+   *
+   * @param bird Bird looking ahead.
+   * @return [{top, bottom}] - Pipe pairs.
+   */
+  pairsAhead(bird) {
+    const pairs = [];
+
+    for (let i = 0; i + 1 < this.pipes.length; i += 2) {
+      if (this.pipes[i].x + this.pipes[i].width > bird.x) {
+        pairs.push({top: this.pipes[i], bottom: this.pipes[i + 1]});
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Pipes and floating blocks a bird can hit.
+   *
+   * @return [Pipe] - Obstacles of the world.
+   */
+  obstacles() {
+    return this.blocks.length > 0 ?
+      this.pipes.concat(this.blocks) :
+      this.pipes;
+  }
+
+  /**
+   * Scroll the obstacles, drop the ones out of sight and spawn new ones.
+   *
+   * @return void
+   */
+  updatePipes() {
+    for (const pieces of [this.pipes, this.blocks]) {
+      for (let i = 0; i < pieces.length; i++) {
+        pieces[i].update();
+
+        if (pieces[i].isOut()) {
+          pieces.splice(i, 1);
+          i--;
+        }
+      }
+    }
+
+    if (this.interval === 0) {
+      const course = this.difficulty();
+
+      const pieces = Obstacles[this.obstacle()].spawn(this, course);
+
+      for (const piece of pieces) {
+        (piece.role === 'block' ? this.blocks : this.pipes).push(piece);
+      }
+
+      if (this.recorder) {
+        this.recorder.spawn(this, pieces);
+      }
+
+      this.spawnInterval = course.spawnInterval;
+    }
+
+    this.interval++;
+
+    if (this.interval === this.spawnInterval) {
+      this.pipesPassed++;
+      this.maxPipesPassed = Math.max(this.pipesPassed, this.maxPipesPassed);
+
+      this.interval = 0;
+    }
+  }
+
+  /**
+   * Course of the next pipe pair, at the level of the curriculum the record
+   * has reached. With a spacing, the frames to the pair after it are drawn
+   * around the spawnInterval of the level.
+   *
+   * @return {pipeHole, pipeSpeed, spawnInterval, spacing} Course.
+   */
+  difficulty() {
+    const curriculum = this.world.curriculum;
+
+    if (!curriculum) {
+      return Simulation.course(this.world, 0);
+    }
+
+    this.level = Math.min(curriculum.maxLevel,
+      Math.floor(this.maxPipesPassed / curriculum.step));
+
+    const course = Simulation.course(this.world, this.level);
+
+    if (course.spacing > 0) {
+      course.spawnInterval += Math.round((this.random.next() * 2 - 1) *
+        course.spacing);
+    }
+
+    return course;
+  }
+
+  /**
+   * Kind of the next obstacle, drawn from the obstacles mix by weight.
+   *
+   * @return String - Name of the kind.
+   */
+  obstacle() {
+    const mix = this.world.obstacles;
+    const kinds = Object.keys(mix).filter((kind) => mix[kind] > 0);
+
+    // A single kind draws nothing, keeping the course of a seed.
+    if (kinds.length === 1) {
+      return kinds[0];
+    }
+
+    let total = 0;
+    for (const kind of kinds) {
+      total += mix[kind];
+    }
+
+    let draw = this.random.next() * total;
+    for (const kind of kinds) {
+      draw -= mix[kind];
+      if (draw < 0) {
+        return kind;
+      }
+    }
+
+    return kinds[kinds.length - 1];
+  }
+
+  /**
+   * Kill a bird and score its network.
+   *
+   * @param i Index of the bird.
+   * @param cause 'crash' (if omitted), or 'survived' when a frame limit
+   * stopped the bird.
+   * @return void
+   */
+  kill(i, cause) {
+    this.birds[i].die(this.score, this.pipesPassed);
+    this.alives--;
+
+    this.brain.networkScore(this.gen[i], this.measure(this.birds[i]),
+      cause || 'crash');
+  }
+
+  /**
+   * Measures of the run of a bird, turned into a score by the fitness
+   * strategy of the brain.
+   *
+   * Height is where the bird died and trajectory its heights every
+   * Bird.trailInterval frames, relative to the world (behaviors of the
+   * novelty strategy).
+   *
+   * @param bird Bird to measure.
+   * @return {frames, pipes, gapDistance, flaps, height, trajectory}
+   * Measures.
+   */
+  measure(bird) {
+    const pair = this.pairsAhead(bird)[0];
+    const center = pair ?
+      (pair.top.y + pair.top.height + pair.bottom.y) / 2 :
+      this.height / 2;
+
+    return {
+      frames: this.score,
+      pipes: this.pipesPassed,
+      gapDistance: Math.abs(bird.y + bird.height / 2 - center),
+      flaps: bird.flaps,
+      height: bird.y / this.height,
+      trajectory: bird.trail.map((y) =>
+        Math.round(y / this.height * 100) / 100),
+    };
+  }
+
+  /**
+   * Check whether every bird of the generation is dead.
+   *
+   * @return Boolean - True if no bird is alive.
+   */
+  isItEnd() {
+    for (let i = 0; i < this.birds.length; i++) {
+      if (this.birds[i].alive) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Run the current generation until every bird is dead.
+   *
+   * Birds still alive after maxFrames frames are scored as they are, so a
+   * network that never dies cannot stall a headless run.
+   *
+   * @param maxFrames Frame limit for the generation (0 for no limit).
+   * @return {generation, fitness, score, pipesPassed} Result of the
+   * generation.
+   */
+  runGeneration(maxFrames) {
+    if (this.generation === 0) {
+      this.start();
+    }
+
+    const result = {
+      generation: this.generation,
+      fitness: this.brain.fitnessName(),
+      score: 0,
+      pipesPassed: 0,
+    };
+
+    while (this.generation === result.generation) {
+      result.score = this.score;
+      result.pipesPassed = this.pipesPassed;
+
+      if (maxFrames > 0 && this.score >= maxFrames) {
+        for (let i = 0; i < this.birds.length; i++) {
+          if (this.birds[i].alive) {
+            this.kill(i, 'survived');
+          }
+        }
+        this.end();
+      } else {
+        this.update();
+      }
+    }
+
+    return result;
+  }
+}
+
+// Course and physics of a world, besides its size.
+Simulation.defaults = {
+  pipeHole: 120, // Height of the gap between two pipes.
+  deltaBord: 50, // Least room between a gap and the top or bottom.
+  spawnInterval: 90, // Frames between two pipe pairs.
+  pipeSpeed: 3, // Pixels the pipes scroll every frame.
+  velocity: 0.3, // Gravity added to the fall of a bird every frame.
+  jump: -6, // Fall of a bird right after it flaps.
+  obstacles: {plain: 1}, // Weight of every kind of obstacle (see Obstacles).
+  curriculum: null, // true or {step, maxLevel, ...} to make it harder.
+};
+
+// Curriculum: one more level every step pipes of record, up to maxLevel.
+// Every level adds pipeHole, pipeSpeed and spawnInterval to the course, and
+// spacing to the most frames the interval between two pairs varies by.
+Simulation.curriculum = {
+  step: 10,
+  maxLevel: 10,
+  pipeHole: -5,
+  pipeSpeed: 0.25,
+  spawnInterval: -4,
+  spacing: 0,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Bird, Pipe, Simulation};
+}
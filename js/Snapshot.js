@@ -0,0 +1,309 @@
+/**
+ * Versioned JSON snapshots of BirdBrain populations and champion networks.
+ *
+ * Three kinds of files share the same envelope ({format, version, type}):
+ * - 'population': a whole BirdBrain state (options, generation counter,
+ *   scored genomes, best-ever genome and stats) to resume training from.
+ * - 'champion': a single network with its score and the options needed to
+ *   run it, to share a trained bird.
+ * - 'replay': a course logged by a Recorder, to watch it again (see
+ *   Replay).
+ *
+ * The version goes up whenever the data saved changes. Snapshots of an older
+ * version are brought to the current one when read (see Snapshot.upgrade()).
+ */
+const Snapshot = {
+  format: 'flappy-bird-ai',
+  version: 2,
+  storageKey: 'flappy-bird-ai',
+
+  /**
+   * Create a population snapshot of a BirdBrain.
+   *
+   * @param brain BirdBrain to save.
+   * @return Object - Population snapshot.
+   */
+  population(brain) {
+    return Object.assign({
+      format: Snapshot.format,
+      version: Snapshot.version,
+      type: 'population',
+    }, brain.getSave());
+  },
+
+  /**
+   * Create a champion snapshot from the best Genome of a BirdBrain.
+   *
+   * Only the options and the best network are copied (not the whole
+   * population like getSave()), as a Runner takes one at every new champion.
+   *
+   * @param brain BirdBrain holding the champion.
+   * @return Object - Champion snapshot.
+   */
+  champion(brain) {
+    if (!brain.best) {
+      throw new Error('Snapshot: no network has been scored yet.');
+    }
+
+    const options = Object.assign({}, brain.options);
+    delete options.random;
+
+    return JSON.parse(JSON.stringify({
+      format: Snapshot.format,
+      version: Snapshot.version,
+      type: 'champion',
+      options: options,
+      generation: brain.generation,
+      score: brain.best.score,
+      network: brain.best.network,
+    }));
+  },
+
+  /**
+   * Apply a snapshot to a BirdBrain.
+   *
+   * A champion snapshot seeds a whole population with copies of its network,
+   * so training carries on from it.
+   *
+   * @param brain BirdBrain to restore.
+   * @param data Population or champion snapshot.
+   * @return void
+   */
+  restore(brain, data) {
+    data = Snapshot.upgrade(Snapshot.check(data));
+
+    if (data.type === 'replay') {
+      throw new Error('Snapshot: a replay has no network to restore.');
+    }
+
+    const engine = (data.options && data.options.engine) || 'ga';
+    if (engine !== brain.options.engine) {
+      throw new Error(`Snapshot: made by the ${engine} engine, not the ${
+        brain.options.engine} one.`);
+    }
+
+    if (data.type === 'population') {
+      brain.setSave(data);
+      return;
+    }
+
+    const genome = {score: data.score, network: data.network};
+    const genomes = [];
+    const population = data.options.population || brain.options.population;
+
+    for (let i = 0; i < population; i++) {
+      genomes.push(genome);
+    }
+
+    brain.setSave({
+      options: data.options,
+      generation: data.generation,
+      genomes: genomes,
+      best: genome,
+    });
+  },
+
+  /**
+   * Serialize a snapshot.
+   *
+   * @param data Snapshot.
+   * @return String - JSON text.
+   */
+  stringify(data) {
+    return JSON.stringify(data);
+  },
+
+  /**
+   * Parse and check a snapshot.
+   *
+   * @param text JSON text.
+   * @return Object - Snapshot.
+   */
+  parse(text) {
+    let data;
+
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Snapshot: invalid JSON (${e.message}).`);
+    }
+
+    return Snapshot.upgrade(Snapshot.check(data));
+  },
+
+  /**
+   * Check the envelope of a snapshot.
+   *
+   * @param data Snapshot.
+   * @return Object - The same snapshot.
+   */
+  check(data) {
+    if (!data || data.format !== Snapshot.format) {
+      throw new Error('Snapshot: not a Flappy Bird AI snapshot.');
+    }
+
+    if (data.version > Snapshot.version) {
+      throw new Error(`Snapshot: version ${data.version} is newer than the ` +
+        `supported one (${Snapshot.version}).`);
+    }
+
+    if (!(Number.isInteger(data.version) && data.version >= 1)) {
+      throw new Error(`Snapshot: unsupported version ${data.version}.`);
+    }
+
+    if (!['population', 'champion', 'replay'].includes(data.type)) {
+      throw new Error(`Snapshot: unknown type ${data.type}.`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Bring a checked snapshot of an older version to the current one, one
+   * version at a time (see Snapshot.upgrades).
+   *
+   * @param data Snapshot.
+   * @return Object - Snapshot of the current version (a copy if upgraded).
+   */
+  upgrade(data) {
+    if (data.version === Snapshot.version) {
+      return data;
+    }
+
+    const upgraded = JSON.parse(JSON.stringify(data));
+
+    while (upgraded.version < Snapshot.version) {
+      Snapshot.upgrades[upgraded.version](upgraded);
+      upgraded.version++;
+    }
+
+    return upgraded;
+  },
+
+  /**
+   * Steps bringing a snapshot of a version to the next one, by version.
+   * Each one fills in place what the next version saves.
+   */
+  upgrades: {
+    /**
+     * Version 1 predates biases and activations, stats, mutation adaptation
+     * and history: networks get zero biases and the default activations,
+     * stats start empty, and the brain starts its adaptation and history
+     * afresh.
+     *
+     * @param data Snapshot of version 1.
+     * @return void
+     */
+    1: (data) => {
+      const networks = data.type === 'champion' ?
+        [data.network] :
+        (data.genomes || []).concat(data.best || [])
+          .map((genome) => genome.network);
+
+      for (const network of networks) {
+        // Networks of the neat engine never lacked them.
+        if (!network || !network.neurons || network.biases) {
+          continue;
+        }
+
+        const count = network.neurons.slice(1).reduce((a, b) => a + b, 0);
+
+        network.biases = new Array(count).fill(0);
+        network.activations = network.neurons.map(() => null);
+      }
+
+      if (data.type === 'population') {
+        data.stats = data.stats || [];
+        data.archive = data.archive || [];
+        data.adaptation = data.adaptation || null;
+        data.history = data.history || null;
+      }
+    },
+  },
+
+  /**
+   * Save a snapshot in the localStorage.
+   *
+   * @param data Snapshot (e.g. Snapshot.population(brain)).
+   * @return void
+   */
+  store(data) {
+    localStorage.setItem(Snapshot.storageKey, Snapshot.stringify(data));
+  },
+
+  /**
+   * Read the snapshot saved in the localStorage.
+   *
+   * @return Object - Snapshot, null if nothing was saved.
+   */
+  load() {
+    const text = localStorage.getItem(Snapshot.storageKey);
+
+    return text === null ? null : Snapshot.parse(text);
+  },
+
+  /**
+   * Let the browser download a snapshot as a JSON file.
+   *
+   * @param data Snapshot.
+   * @param filename Name of the file.
+   * @return void
+   */
+  download(data, filename) {
+    Snapshot.downloadText(Snapshot.stringify(data), filename,
+      'application/json');
+  },
+
+  /**
+   * Let the browser download some text as a file.
+   *
+   * @param text Content of the file.
+   * @param filename Name of the file.
+   * @param type MIME type of the file.
+   * @return void
+   */
+  downloadText(text, filename, type) {
+    const blob = new Blob([text], {type: type});
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  },
+
+  /**
+   * Read a snapshot from an uploaded file.
+   *
+   * @param file File picked by the user.
+   * @param callback Called with (error, snapshot).
+   * @return void
+   */
+  upload(file, callback) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+      let data;
+
+      try {
+        data = Snapshot.parse(reader.result);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+
+      callback(null, data);
+    };
+    reader.onerror = () => {
+      callback(reader.error);
+    };
+
+    reader.readAsText(file);
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Snapshot};
+}
@@ -0,0 +1,57 @@
+/**
+ * Export of the per-Generation stats recorded by BirdBrain (brain.stats).
+ */
+const Stats = {
+  columns: [
+    'generation',
+    'fitness',
+    'size',
+    'best',
+    'mean',
+    'median',
+    'worst',
+    'pipes',
+    'frames',
+    'diversity',
+    'mutationRange',
+    'duration',
+  ],
+
+  /**
+   * Format stats as CSV, one line per Generation.
+   *
+   * @param rows Stats of the Generations.
+   * @return String - CSV text with a header line.
+   */
+  csv(rows) {
+    const lines = [Stats.columns.join(',')];
+
+    for (const row of rows) {
+      lines.push(Stats.columns.map((column) => {
+        const value = row[column] === null || row[column] === undefined ?
+          '' :
+          String(row[column]);
+
+        return /[",\n]/.test(value) ?
+          `"${value.replace(/"/g, '""')}"` :
+          value;
+      }).join(','));
+    }
+
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Format stats as JSON.
+   *
+   * @param rows Stats of the Generations.
+   * @return String - JSON text.
+   */
+  json(rows) {
+    return JSON.stringify(rows, null, 2);
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Stats};
+}
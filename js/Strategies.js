@@ -0,0 +1,243 @@
+// Frames (about three pipes) a death behavior is halfway to 1 at.
+const deathHorizon = 270;
+
+/**
+ * Behavior characterizations the behavior option can pick by name.
+ *
+ * Each one describes the run of a bird by a vector, from the measures
+ * reported to networkScore(): novelty is the distance between them.
+ */
+const Behaviors = {
+  /**
+   * Where the bird died: frames flown and height (relative to the world),
+   * both between 0 and 1. The frames are scaled as frames / (frames +
+   * deathHorizon), so that neither an early crash nor a long flight weighs
+   * more than the height: the scale is the same for every Generation and
+   * the archive.
+   */
+  death: (measures) => [
+    measures.frames / (measures.frames + deathHorizon),
+    measures.height,
+  ],
+
+  /**
+   * Heights of the bird every few frames (see Bird.trailInterval).
+   */
+  trajectory: (measures) => measures.trajectory,
+};
+
+/**
+ * Ranking strategies the strategy option can pick by name.
+ *
+ * Each one orders the scored Genomes of a Generation, best first, for the
+ * breeding of the next one (elites, parents). The Genomes themselves stay
+ * sorted by score, so the stats and the best Genome still follow the
+ * fitness.
+ */
+const Strategies = {
+  /**
+   * By score (the fitness strategy), the order of the Generation.
+   */
+  fitness: (genomes) => genomes,
+
+  /**
+   * By novelty: how far the behavior of a Genome is from its nearest ones,
+   * in the Generation and in the archive of past novel behaviors, blended
+   * with the score by the noveltyWeight.
+   */
+  novelty: (genomes, brain) => {
+    const options = brain.options;
+    const novelties = brain.novelty(genomes);
+    const scores = genomes.map((genome) => options.scoreSort * -genome.score);
+    const blend = genomes.map((genome, i) =>
+      options.noveltyWeight * scaled(novelties, i) +
+      (1 - options.noveltyWeight) * scaled(scores, i));
+
+    return genomes.map((genome, i) => i)
+      .sort((a, b) => blend[b] - blend[a])
+      .map((i) => genomes[i]);
+  },
+
+  /**
+   * By Pareto front over the objectives, then by crowding distance within a
+   * front (NSGA-II): the first front holds the Genomes no other one beats
+   * on every objective.
+   */
+  pareto: (genomes, brain) => {
+    const objectives = brain.options.objectives;
+
+    if (objectives.hasOwnProperty('novelty')) {
+      brain.novelty(genomes);
+    }
+
+    const values = genomes.map((genome) => Object.keys(objectives)
+      .map((key) => objectives[key] * objectiveValue(genome, key)));
+    const fronts = paretoFronts(values);
+    const ranked = [];
+
+    fronts.forEach((front, rank) => {
+      const crowding = crowdingDistances(front.map((i) => values[i]));
+
+      front.forEach((i, j) => {
+        genomes[i].front = rank + 1;
+        genomes[i].crowding = crowding[j];
+      });
+      front.slice()
+        // Infinity - Infinity is NaN: edges tie.
+        .sort((a, b) => genomes[b].crowding - genomes[a].crowding || 0)
+        .forEach((i) => ranked.push(genomes[i]));
+    });
+
+    return ranked;
+  },
+};
+
+/**
+ * A value scaled between 0 (the lowest of the values) and 1 (the highest).
+ *
+ * @param values Numbers.
+ * @param i Index of the value.
+ * @return Number - Scaled value (1 when they are all the same).
+ */
+const scaled = function (values, i) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  return max > min ? (values[i] - min) / (max - min) : 1;
+};
+
+/**
+ * Value of a Genome on an objective: one of its measures, size (sum of the
+ * absolute weights and biases of its network) or novelty.
+ *
+ * @param genome Scored Genome.
+ * @param key Name of the objective.
+ * @return Number - Value, the higher the more of it.
+ */
+const objectiveValue = function (genome, key) {
+  if (key === 'size') {
+    const network = genome.network || {};
+    let size = 0;
+
+    for (const genes of [network.weights || [], network.biases || []]) {
+      for (const gene of genes) {
+        size += Math.abs(gene);
+      }
+    }
+
+    return size;
+  }
+
+  if (key === 'novelty') {
+    return genome.novelty || 0;
+  }
+
+  return (genome.measures && genome.measures[key]) || 0;
+};
+
+/**
+ * Euclidean distance between two behaviors, the shorter one (e.g. a
+ * trajectory cut by an early crash) going on with its last value.
+ *
+ * @param a Behavior vector.
+ * @param b Behavior vector.
+ * @return Number - Distance.
+ */
+const behaviorDistance = function (a, b) {
+  const length = Math.max(a.length, b.length);
+  let total = 0;
+
+  for (let i = 0; i < length; i++) {
+    const x = i < a.length ? a[i] : (a.length ? a[a.length - 1] : 0);
+    const y = i < b.length ? b[i] : (b.length ? b[b.length - 1] : 0);
+
+    total += (x - y) * (x - y);
+  }
+
+  return Math.sqrt(total);
+};
+
+/**
+ * Sort points into Pareto fronts (fast non-dominated sort).
+ *
+ * @param values Objective values of every point, the higher the better.
+ * @return [[Number]] - Indexes of the points of every front, best first.
+ */
+const paretoFronts = function (values) {
+  const dominates = (a, b) => a.every((value, k) => value >= b[k]) &&
+    a.some((value, k) => value > b[k]);
+  const beaten = values.map(() => 0); // Points dominating each point.
+  const beats = values.map(() => []); // Points each point dominates.
+  const fronts = [[]];
+
+  for (let i = 0; i < values.length; i++) {
+    for (let j = 0; j < values.length; j++) {
+      if (dominates(values[i], values[j])) {
+        beats[i].push(j);
+      } else if (dominates(values[j], values[i])) {
+        beaten[i]++;
+      }
+    }
+
+    if (beaten[i] === 0) {
+      fronts[0].push(i);
+    }
+  }
+
+  while (fronts[fronts.length - 1].length > 0) {
+    const next = [];
+
+    for (const i of fronts[fronts.length - 1]) {
+      for (const j of beats[i]) {
+        beaten[j]--;
+        if (beaten[j] === 0) {
+          next.push(j);
+        }
+      }
+    }
+    fronts.push(next);
+  }
+
+  fronts.pop();
+
+  return fronts;
+};
+
+/**
+ * Crowding distance of the points of a front: how much room they have
+ * around them on every objective (Infinity at the edges).
+ *
+ * @param values Objective values of the points of the front.
+ * @return [Number] - Distance of every point.
+ */
+const crowdingDistances = function (values) {
+  const distances = values.map(() => 0);
+  const count = values.length ? values[0].length : 0;
+
+  for (let k = 0; k < count; k++) {
+    const order = values.map((value, i) => i)
+      .sort((a, b) => values[a][k] - values[b][k]);
+    const range = values[order[order.length - 1]][k] - values[order[0]][k];
+
+    distances[order[0]] = Infinity;
+    distances[order[order.length - 1]] = Infinity;
+
+    for (let i = 1; i < order.length - 1; i++) {
+      distances[order[i]] += range > 0 ?
+        (values[order[i + 1]][k] - values[order[i - 1]][k]) / range :
+        0;
+    }
+  }
+
+  return distances;
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Behaviors,
+    Strategies,
+    behaviorDistance,
+    paretoFronts,
+    crowdingDistances,
+  };
+}
@@ -0,0 +1,290 @@
+class Tournament extends Simulation {
+  /**
+   * Tournament class.
+   *
+   * Saved champions flying together, one bird each, on every course of a
+   * benchmark: a fixed, versioned set of seeded courses (see
+   * Tournament.benchmarks), so that scores stay comparable from one
+   * tournament to the next. Nothing is scored nor bred: every course only
+   * adds the pipes passed by each contender, and what it crashed into, to
+   * the leaderboard.
+   *
+   * A course ends once every bird crashed, or passed the maxPipes of the
+   * benchmark. Call update() until done, or run() to fly them all.
+   *
+   * @constructor
+   * @param contenders Contenders (see Tournament.contender()).
+   * @param version Version of the benchmark (Tournament.version if
+   * omitted).
+   */
+  constructor(contenders, version) {
+    const number = version === undefined || version === null ?
+      Tournament.version :
+      Number(version);
+    const benchmark = Tournament.benchmarks[number];
+
+    if (!contenders || contenders.length === 0) {
+      throw new Error('Tournament: at least one contender is needed.');
+    }
+
+    if (!benchmark) {
+      throw new Error(`Tournament: unknown benchmark version ${version}.`);
+    }
+
+    super(contenders[0].brain, Object.assign({seed: benchmark.seeds[0]},
+      benchmark.world));
+
+    this.version = number;
+    this.benchmark = benchmark;
+    this.contenders = contenders.map((contender, i) => ({
+      name: contender.name,
+      hue: Arena.hues[i % Arena.hues.length],
+      brain: contender.brain,
+      network: contender.network,
+      perception: Simulation.perception(contender.brain),
+      runs: [], // Pipes passed on every course.
+      crashes: {}, // Courses ended by every crash cause.
+    }));
+    this.course = -1; // Index of the course flown.
+    this.done = false;
+  }
+
+  /**
+   * Start the next course of the benchmark, if any.
+   *
+   * @return void
+   */
+  start() {
+    this.course++;
+
+    if (this.course >= this.benchmark.seeds.length) {
+      this.done = true;
+      return;
+    }
+
+    this.reset();
+    this.random = new Random(this.benchmark.seeds[this.course]);
+    this.birds = this.contenders.map((contender) =>
+      this.createBird({hue: contender.hue}));
+    this.gen = this.contenders.map((contender) => contender.network);
+    this.alives = this.birds.length;
+    this.generation = this.course + 1;
+  }
+
+  /**
+   * Advance the course by one frame, stopping the birds which passed the
+   * maxPipes of the benchmark.
+   *
+   * @return void
+   */
+  update() {
+    if (this.done) {
+      return;
+    }
+
+    if (this.course < 0) {
+      this.start();
+    }
+
+    super.update();
+
+    if (this.pipesPassed >= this.benchmark.maxPipes) {
+      for (let i = 0; i < this.birds.length; i++) {
+        if (this.birds[i].alive) {
+          this.kill(i, 'survived');
+        }
+      }
+      this.end();
+    }
+  }
+
+  /**
+   * Fly every course of the benchmark.
+   *
+   * @return [Object] - Leaderboard (see leaderboard()).
+   */
+  run() {
+    while (!this.done) {
+      this.update();
+    }
+
+    return this.leaderboard();
+  }
+
+  think(i) {
+    const inputs = this.contenders[i].perception.read(this, this.birds[i]);
+
+    return this.shouldFlap(this.gen[i].compute(inputs));
+  }
+
+  perceptionOf(i) {
+    return this.contenders[i].perception;
+  }
+
+  /**
+   * Stop a bird, adding its course to the runs of its contender.
+   *
+   * @param i Index of the bird.
+   * @param cause Crash cause (found out from the bird if omitted).
+   * @return void
+   */
+  kill(i, cause) {
+    const contender = this.contenders[i];
+    const crash = cause || Tournament.cause(this, this.birds[i]);
+
+    this.birds[i].die(this.score, this.pipesPassed);
+    this.alives--;
+
+    contender.runs.push(this.pipesPassed);
+    contender.crashes[crash] = (contender.crashes[crash] || 0) + 1;
+  }
+
+  /**
+   * Contenders ranked by mean pipes passed, then by most pipes passed.
+   *
+   * @return [{rank, name, courses, mean, max, runs, crashes}] - Leaderboard,
+   * best first.
+   */
+  leaderboard() {
+    const table = this.contenders.map((contender) => {
+      const runs = contender.runs;
+
+      return {
+        name: contender.name,
+        courses: runs.length,
+        mean: runs.length > 0 ?
+          runs.reduce((sum, pipes) => sum + pipes, 0) / runs.length :
+          0,
+        max: runs.length > 0 ? Math.max(...runs) : 0,
+        runs: runs.slice(),
+        crashes: Object.assign({}, contender.crashes),
+      };
+    });
+
+    table.sort((a, b) => b.mean - a.mean || b.max - a.max);
+    table.forEach((row, i) => {
+      row.rank = i + 1;
+    });
+
+    return table;
+  }
+
+  /**
+   * Leaderboard along with the benchmark it was flown on.
+   *
+   * @return {benchmark, name, seeds, maxPipes, done, table} Report.
+   */
+  report() {
+    return {
+      benchmark: this.version,
+      name: this.benchmark.name,
+      seeds: this.benchmark.seeds.slice(),
+      maxPipes: this.benchmark.maxPipes,
+      done: this.done,
+      table: this.leaderboard(),
+    };
+  }
+
+  /**
+   * What a bird crashed into.
+   *
+   * @param simulation Simulation of the bird.
+   * @param bird Bird which just died.
+   * @return String - 'floor', 'ceiling', 'top' or 'bottom' (pipe), 'block',
+   * or 'unknown'.
+   */
+  static cause(simulation, bird) {
+    if (bird.y >= simulation.height) {
+      return 'floor';
+    }
+
+    if (bird.y + bird.height <= 0) {
+      return 'ceiling';
+    }
+
+    for (const obstacle of simulation.obstacles()) {
+      if (bird.hits(obstacle)) {
+        return obstacle.role;
+      }
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Contender from a champion snapshot, or from the best network of a
+   * population snapshot.
+   *
+   * @param data Champion or population snapshot.
+   * @param name Name on the leaderboard (from the score if omitted).
+   * @return {name, brain, network} Contender.
+   */
+  static contender(data, name) {
+    data = Snapshot.upgrade(Snapshot.check(data));
+
+    const genome = data.type === 'champion' ? data : data.best;
+
+    if (data.type === 'replay' || !genome) {
+      throw new Error('Tournament: only champions, and populations with a ' +
+        'best network, can compete.');
+    }
+
+    const brain = createBrain(data.options);
+
+    return {
+      name: name || `champion-${genome.score}`,
+      brain: brain,
+      network: brain.createNetwork(genome.network),
+    };
+  }
+}
+
+// Benchmark course sets, by version. Never change a published one, add a
+// version instead: the leaderboards of a version stay comparable.
+Tournament.benchmarks = {
+  1: {
+    name: 'plain',
+    seeds: [1001, 1002, 1003, 1004, 1005, 1006, 1007, 1008, 1009, 1010],
+    maxPipes: 100,
+    world: {
+      width: 400,
+      height: 512,
+      pipeHole: 120,
+      deltaBord: 50,
+      spawnInterval: 90,
+      pipeSpeed: 3,
+      velocity: 0.3,
+      jump: -6,
+      obstacles: {plain: 1},
+    },
+  },
+  2: {
+    name: 'obstacles',
+    seeds: [2001, 2002, 2003, 2004, 2005, 2006, 2007, 2008, 2009, 2010],
+    maxPipes: 100,
+    world: {
+      width: 400,
+      height: 512,
+      pipeHole: 120,
+      deltaBord: 50,
+      spawnInterval: 90,
+      pipeSpeed: 3,
+      velocity: 0.3,
+      jump: -6,
+      obstacles: {
+        plain: 2,
+        oscillating: 1,
+        widths: 1,
+        closing: 1,
+        floating: 1,
+      },
+    },
+  },
+};
+
+// Benchmark flown when no version is given.
+Tournament.version = 1;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {Tournament};
+}
@@ -0,0 +1,140 @@
+class Trainer {
+  /**
+   * Trainer class.
+   *
+   * Page side of the training: sends Runner commands to the training Web
+   * Worker and hands its messages to a listener. Pages opened from file://
+   * (where most browsers refuse workers), or whose worker fails to start,
+   * run the Runner on the main thread instead, through the same messages.
+   *
+   * @constructor
+   * @param init Runner init command ({type: 'init', brains, world, restart}).
+   * @param listener Called with every Runner message.
+   */
+  constructor(init, listener) {
+    this.init = init;
+    this.listener = listener;
+    this.worker = null;
+    this.runner = null; // Runner of the main thread, without worker.
+    this.ready = false; // Whether the worker answered yet.
+    this.settings = {}; // Last speed and pause commands, by type.
+    this.requests = 0;
+    this.pending = {}; // Callbacks of the requests, by id.
+  }
+
+  /**
+   * Start the training, in a worker if possible.
+   *
+   * @return void
+   */
+  start() {
+    if (typeof Worker === 'undefined' || location.protocol === 'file:') {
+      this.fallback();
+      return;
+    }
+
+    try {
+      this.worker = new Worker('./js/Worker.js');
+    } catch (e) {
+      this.fallback();
+      return;
+    }
+
+    this.worker.onmessage = (event) => {
+      this.ready = true;
+      this.receive(event.data);
+    };
+    this.worker.onerror = (event) => {
+      if (!this.ready) {
+        event.preventDefault();
+        this.fallback();
+      }
+    };
+    this.worker.postMessage(this.init);
+  }
+
+  /**
+   * Run the training on the main thread, where the worker left off
+   * (settings included).
+   *
+   * @return void
+   */
+  fallback() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.runner = new Runner((message) => {
+      this.receive(message);
+    });
+    this.runner.command(this.init);
+
+    for (const type in this.settings) {
+      this.runner.command(this.settings[type]);
+    }
+  }
+
+  /**
+   * Whether the training runs in a worker.
+   *
+   * @return Boolean - False on the main thread.
+   */
+  threaded() {
+    return this.worker !== null;
+  }
+
+  /**
+   * Send a command.
+   *
+   * @param message Runner command.
+   * @return void
+   */
+  send(message) {
+    if (message.type === 'speed' || message.type === 'pause') {
+      this.settings[message.type] = message;
+    }
+
+    if (this.worker) {
+      this.worker.postMessage(message);
+    } else if (this.runner) {
+      this.runner.command(message);
+    }
+  }
+
+  /**
+   * Send a command expecting an answer (e.g. save).
+   *
+   * @param message Runner command.
+   * @param callback Called with (error, answer).
+   * @return void
+   */
+  request(message, callback) {
+    const id = this.requests++;
+
+    this.pending[id] = callback;
+    this.send(Object.assign({id: id}, message));
+  }
+
+  /**
+   * Route a Runner message to its request, or to the listener.
+   *
+   * @param message Runner message.
+   * @return void
+   */
+  receive(message) {
+    const callback = message.id !== undefined && this.pending[message.id];
+
+    if (callback) {
+      delete this.pending[message.id];
+      if (message.type === 'error') {
+        callback(new Error(message.message));
+      } else {
+        callback(null, message);
+      }
+      return;
+    }
+
+    this.listener(message);
+  }
+}
@@ -0,0 +1,246 @@
+class Visualizer {
+  /**
+   * Visualizer class.
+   *
+   * Draws a Network on its own canvas: one column of nodes per Layer, edges
+   * colored by the sign of their weight (green positive, red negative) and
+   * as thick as it is strong, nodes filled by their last activation from
+   * compute().
+   *
+   * Networks without Layers (NEAT) are drawn from their graph() instead, one
+   * column per depth. Copies of networks made by Runner.view() work too.
+   *
+   * @constructor
+   * @param canvas Canvas to draw the Network on.
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+  }
+
+  /**
+   * Draw a Network.
+   *
+   * @param network Network to draw (null clears the canvas).
+   * @param labels Names of the inputs.
+   * @param caption Text under the Network.
+   * @return void
+   */
+  draw(network, labels, caption) {
+    const ctx = this.ctx;
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    if (network && (network.graph || network.edges)) {
+      this.drawGraph(network.graph ? network.graph() : network, labels,
+        caption);
+      return;
+    }
+
+    if (!network || !network.layers || network.layers.length === 0) {
+      return;
+    }
+
+    const positions = this.layout(network);
+
+    // Edges, from each Neuron of the previous Layer.
+    for (let i = 1; i < network.layers.length; i++) {
+      const neurons = network.layers[i].neurons;
+
+      for (let j = 0; j < neurons.length; j++) {
+        for (let k = 0; k < neurons[j].weights.length; k++) {
+          const weight = neurons[j].weights[k];
+          const from = positions[i - 1][k];
+          const to = positions[i][j];
+
+          ctx.strokeStyle = weight >= 0 ?
+            `rgba(46, 125, 50, ${Visualizer.alpha(weight)})` :
+            `rgba(198, 40, 40, ${Visualizer.alpha(weight)})`;
+          ctx.lineWidth = Math.min(6, 0.5 + Math.abs(weight) * 1.5);
+          ctx.beginPath();
+          ctx.moveTo(from.x, from.y);
+          ctx.lineTo(to.x, to.y);
+          ctx.stroke();
+        }
+      }
+    }
+
+    // Neurons, filled by their activation.
+    ctx.lineWidth = 1.5;
+    ctx.font = '12px Oswald, sans-serif';
+    ctx.textBaseline = 'middle';
+
+    for (let i = 0; i < network.layers.length; i++) {
+      const neurons = network.layers[i].neurons;
+
+      for (let j = 0; j < neurons.length; j++) {
+        const {x, y} = positions[i][j];
+        const level = Math.round(255 *
+          (1 - Visualizer.level(neurons[j].value)));
+
+        ctx.fillStyle = `rgb(${level}, ${level}, ${level})`;
+        ctx.strokeStyle = '#333333';
+        ctx.beginPath();
+        ctx.arc(x, y, 9, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = '#333333';
+        if (i === 0 && labels && labels[j]) {
+          ctx.textAlign = 'left';
+          ctx.fillText(labels[j], 4, y);
+        }
+        if (i === network.layers.length - 1) {
+          ctx.textAlign = 'right';
+          ctx.fillText(neurons[j].value.toFixed(2), this.canvas.width - 4, y);
+        }
+      }
+    }
+
+    if (caption) {
+      ctx.textAlign = 'center';
+      ctx.fillText(caption, this.canvas.width / 2, this.canvas.height - 10);
+    }
+
+    ctx.lineWidth = 1;
+  }
+
+  /**
+   * Draw the graph of a Network without Layers.
+   *
+   * @param graph {nodes: [{id, type, value, depth}], edges: [{from, to,
+   * weight}]} of the Network.
+   * @param labels Names of the inputs.
+   * @param caption Text under the Network.
+   * @return void
+   */
+  drawGraph(graph, labels, caption) {
+    const ctx = this.ctx;
+    const left = 90;
+    const right = this.canvas.width - 50;
+    const top = 15;
+    const bottom = this.canvas.height - 30;
+    const columns = [];
+    const positions = {};
+
+    for (const node of graph.nodes) {
+      (columns[node.depth] = columns[node.depth] || []).push(node);
+    }
+
+    const depths = columns.filter((column) => column);
+    depths.forEach((column, i) => {
+      const x = depths.length === 1 ?
+        (left + right) / 2 :
+        left + i * (right - left) / (depths.length - 1);
+
+      column.forEach((node, j) => {
+        positions[node.id] = {
+          x: x,
+          y: top + (j + 0.5) * (bottom - top) / column.length,
+        };
+      });
+    });
+
+    for (const edge of graph.edges) {
+      const from = positions[edge.from];
+      const to = positions[edge.to];
+
+      ctx.strokeStyle = edge.weight >= 0 ?
+        `rgba(46, 125, 50, ${Visualizer.alpha(edge.weight)})` :
+        `rgba(198, 40, 40, ${Visualizer.alpha(edge.weight)})`;
+      ctx.lineWidth = Math.min(6, 0.5 + Math.abs(edge.weight) * 1.5);
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+    }
+
+    ctx.lineWidth = 1.5;
+    ctx.font = '12px Oswald, sans-serif';
+    ctx.textBaseline = 'middle';
+
+    let input = 0;
+    for (const node of graph.nodes) {
+      const {x, y} = positions[node.id];
+      const level = Math.round(255 * (1 - Visualizer.level(node.value)));
+
+      ctx.fillStyle = `rgb(${level}, ${level}, ${level})`;
+      ctx.strokeStyle = '#333333';
+      ctx.beginPath();
+      ctx.arc(x, y, 9, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.fillStyle = '#333333';
+      if (node.type === 'input' && labels && labels[input]) {
+        ctx.textAlign = 'left';
+        ctx.fillText(labels[input], 4, y);
+      } else if (node.type === 'bias') {
+        ctx.textAlign = 'left';
+        ctx.fillText('bias', 4, y);
+      } else if (node.type === 'output') {
+        ctx.textAlign = 'right';
+        ctx.fillText(node.value.toFixed(2), this.canvas.width - 4, y);
+      }
+      if (node.type === 'input') {
+        input++;
+      }
+    }
+
+    if (caption) {
+      ctx.textAlign = 'center';
+      ctx.fillText(caption, this.canvas.width / 2, this.canvas.height - 10);
+    }
+
+    ctx.lineWidth = 1;
+  }
+
+  /**
+   * Position of every Neuron on the canvas.
+   *
+   * @param network Network to lay out.
+   * @return [[{x, y}]] - Positions by Layer and Neuron.
+   */
+  layout(network) {
+    const left = 90;
+    const right = this.canvas.width - 50;
+    const top = 15;
+    const bottom = this.canvas.height - 30;
+    const layers = network.layers;
+
+    return layers.map((layer, i) => {
+      const x = layers.length === 1 ?
+        (left + right) / 2 :
+        left + i * (right - left) / (layers.length - 1);
+
+      return layer.neurons.map((neuron, j) => ({
+        x: x,
+        y: top + (j + 0.5) * (bottom - top) / layer.neurons.length,
+      }));
+    });
+  }
+
+  /**
+   * Opacity of an edge.
+   *
+   * @param weight Weight of the edge.
+   * @return Number - Between 0.15 and 1.
+   */
+  static alpha(weight) {
+    return Math.min(1, 0.15 + Math.abs(weight) / 2).toFixed(2);
+  }
+
+  /**
+   * Brightness of a Neuron, squashing any activation between 0 and 1.
+   *
+   * @param value Activation of the Neuron.
+   * @return Number - Between 0 and 1.
+   */
+  static level(value) {
+    if (value >= 0 && value <= 1) {
+      return value;
+    }
+
+    return 1 / (1 + Math.exp(-value));
+  }
+}
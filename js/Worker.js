@@ -0,0 +1,30 @@
+/**
+ * Training Web Worker.
+ *
+ * Runs the simulation and the evolution of the brains off the main thread:
+ * the page sends Runner commands and draws the frames it gets back.
+ */
+importScripts(
+  'Random.js',
+  'Chronicle.js',
+  'Bird-Brain.js',
+  'Strategies.js',
+  'Neat.js',
+  'Dqn.js',
+  'Sensors.js',
+  'Simulation.js',
+  'Obstacles.js',
+  'Arena.js',
+  'Islands.js',
+  'Snapshot.js',
+  'Runner.js',
+  'Replay.js',
+);
+
+const runner = new Runner((message) => {
+  postMessage(message);
+});
+
+onmessage = (event) => {
+  runner.command(event.data);
+};
@@ -0,0 +1,215 @@
+/**
+ * Headless training experiments.
+ *
+ * An experiment config holds the BirdBrain options (population, network,
+ * mutationRate, mutationRange, elitism, seed, fitness, engine...) along with
+ * the keys below, which say when the run stops:
+ * - maxGenerations: generations to train at most (200).
+ * - targetPipes: pipes a bird must pass to reach the target (null for none,
+ *   the run then lasts maxGenerations).
+ * - maxFrames: frame limit of a generation (enough frames to reach the
+ *   target, 100000 without one).
+ * - world: size of the world ({width, height}, 400x512 like the page), and
+ *   its course, physics and curriculum (see Simulation.defaults).
+ * - record: whether to record the courses and return the replay of the
+ *   longest one (false).
+ * - islands: migration options of an island model, with the count of
+ *   islands ({count, interval, migrants, topology}, see js/Islands.js), for
+ *   node/islands.js (null).
+ */
+const {createBrain, Simulation, Snapshot, Recorder, Islands} =
+  require('./load.js');
+
+const defaults = {
+  population: 50,
+  network: [2, [2], 1],
+  seed: 1,
+  maxGenerations: 200,
+  targetPipes: 50,
+  maxFrames: null,
+  world: {width: 400, height: 512},
+  record: false,
+  islands: null,
+};
+
+// Keys of a config which are not BirdBrain options.
+const runKeys = ['name', 'maxGenerations', 'targetPipes', 'maxFrames',
+  'world', 'record', 'islands'];
+
+/**
+ * Complete a config with the defaults and check its run keys.
+ *
+ * @param config Experiment config.
+ * @return Object - Complete config.
+ */
+const normalize = (config) => {
+  const complete = Object.assign({}, defaults, config);
+
+  if (!(Number.isInteger(complete.maxGenerations) &&
+    complete.maxGenerations > 0)) {
+    throw new Error('Experiment: maxGenerations must be a positive integer.');
+  }
+
+  if (complete.targetPipes !== null && !(complete.targetPipes > 0)) {
+    throw new Error('Experiment: targetPipes must be positive or null.');
+  }
+
+  if (complete.maxFrames !== null && !(complete.maxFrames > 0)) {
+    throw new Error('Experiment: maxFrames must be positive or null.');
+  }
+
+  if (complete.islands !== null) {
+    const islands = Object.assign({}, Islands.defaults, complete.islands);
+
+    // Like Islands.check(): genomes of other engines cannot migrate.
+    if ((complete.engine || 'ga') !== 'ga') {
+      throw new Error('Experiment: only the ga engine can run islands.');
+    }
+
+    if (!(Number.isInteger(islands.count) && islands.count >= 1)) {
+      throw new Error('Experiment: islands.count must be a positive integer.');
+    }
+
+    Islands.validate(islands, complete.population);
+  }
+
+  return complete;
+};
+
+/**
+ * BirdBrain options of a config.
+ *
+ * @param config Experiment config.
+ * @return Object - Options of createBrain().
+ */
+const brainOptions = (config) => {
+  const options = {};
+
+  for (const key in config) {
+    if (!runKeys.includes(key)) {
+      options[key] = config[key];
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Frame limit of a generation.
+ *
+ * Enough frames to reach the target counts every pipe pair as far apart as
+ * the curriculum can space them, at any level.
+ *
+ * @param config Complete config.
+ * @param simulation Simulation of the run.
+ * @return Number - maxFrames, or enough frames to reach the target.
+ */
+const frameLimit = (config, simulation) => {
+  if (config.maxFrames || !config.targetPipes) {
+    return config.maxFrames || 100000;
+  }
+
+  const world = simulation.world;
+  // Courses change linearly with the level: the first or the last level
+  // spaces the pairs the most.
+  const levels = [0, world.curriculum ? world.curriculum.maxLevel : 0];
+  const interval = Math.max(...levels.map((level) => {
+    const course = Simulation.course(world, level);
+
+    return course.spawnInterval + course.spacing;
+  }));
+
+  return (config.targetPipes + 1) * interval;
+};
+
+/**
+ * Read the command line arguments of a trainer: [config.json] [--out dir]
+ * [--quiet] [--key value]..., the values read as JSON when they can be.
+ *
+ * @param argv Arguments after the script.
+ * @param file Config file when none is given.
+ * @return {file, out, quiet, overrides} Parsed arguments.
+ */
+const parseArguments = (argv, file) => {
+  const args = {
+    file: file,
+    out: null,
+    quiet: false,
+    overrides: {},
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--quiet') {
+      args.quiet = true;
+    } else if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else if (argv[i].startsWith('--')) {
+      const value = argv[++i];
+
+      if (value === undefined) {
+        throw new Error(`Missing value of ${argv[i - 1]}.`);
+      }
+
+      try {
+        args.overrides[argv[i - 1].slice(2)] = JSON.parse(value);
+      } catch (e) {
+        args.overrides[argv[i - 1].slice(2)] = value;
+      }
+    } else {
+      args.file = argv[i];
+    }
+  }
+
+  return args;
+};
+
+/**
+ * Train until a bird passes the target pipes or the generations run out.
+ *
+ * @param config Experiment config.
+ * @param onGeneration Called with the stats row of every generation.
+ * @return {config, reached, generations, frames, best, pipes, stats,
+ * champion, replay} Result: whether the target was reached and in how many
+ * generations and frames flown (by all the birds), best score and most
+ * pipes passed, stats rows, champion snapshot and replay of the longest
+ * course (null unless recorded).
+ */
+const run = (config, onGeneration) => {
+  const complete = normalize(config);
+  const brain = createBrain(brainOptions(complete));
+  const simulation = new Simulation(brain, complete.world);
+  const recorder = complete.record ? new Recorder(1) : null;
+  const maxFrames = frameLimit(complete, simulation);
+  let reached = false;
+  let pipes = 0;
+
+  simulation.recorder = recorder;
+
+  while (!reached && brain.stats.length < complete.maxGenerations) {
+    const result = simulation.runGeneration(maxFrames);
+
+    pipes = Math.max(pipes, result.pipesPassed);
+    reached = complete.targetPipes !== null &&
+      result.pipesPassed >= complete.targetPipes;
+
+    if (onGeneration) {
+      onGeneration(brain.stats[brain.stats.length - 1]);
+    }
+  }
+
+  return {
+    config: complete,
+    seed: brain.options.seed,
+    reached: reached,
+    generations: brain.stats.length,
+    frames: brain.stats.reduce((sum, row) => sum + row.frames, 0),
+    best: brain.best ? brain.best.score : 0,
+    pipes: pipes,
+    stats: brain.stats,
+    champion: brain.best ? Snapshot.champion(brain) : null,
+    replay: recorder ? recorder.best : null,
+  };
+};
+
+module.exports = {defaults, normalize, brainOptions, frameLimit,
+  parseArguments, run};
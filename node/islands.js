@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * Train an island model on worker threads.
+ *
+ *   node node/islands.js [config.json] [--out dir] [--quiet] [--key value]...
+ *
+ * Runs the experiment of the config (node/experiments/islands.json if
+ * omitted, see node/experiment.js) as islands: its islands key ({count,
+ * interval, migrants, topology}, see js/Islands.js) sets how many
+ * populations train, each one on its own worker thread with the seed of
+ * the config plus its index (so its own networks and courses). Every
+ * interval generations, the best genomes of each island migrate to the
+ * islands of the topology; as a worker has bred its next generation by
+ * then, they join the breeding of the one after. Training stops once a
+ * bird of any island passes the target pipes, or the generations run out.
+ *
+ * Prints one line per migration, writes the stats of every island
+ * (island-<n>.csv), the champion of the best island (champion.json) and
+ * result.json in the out directory (results/<config name>), and exits with
+ * 0 if the target was reached, 1 if not and 2 on a bad config.
+ */
+const fs = require('fs');
+const path = require('path');
+const {Worker, isMainThread, parentPort} = require('worker_threads');
+const {createBrain, Simulation, Snapshot, Stats, Random, Topologies,
+  Islands} = require('./load.js');
+const snapshot = require('./snapshot.js');
+const experiment = require('./experiment.js');
+
+/**
+ * Simulation of an island on a worker thread, whose immigrants join the
+ * scored generation before it breeds the next one.
+ */
+class IslandSimulation extends Simulation {
+  constructor(brain, world) {
+    super(brain, world);
+    this.immigrants = []; // Genomes received from the other islands.
+  }
+
+  start() {
+    Islands.immigrate(this.brain, this.immigrants);
+    this.immigrants = [];
+
+    super.start();
+  }
+}
+
+/**
+ * Send a command to the worker of an island and wait for its answer.
+ *
+ * @param worker Worker thread.
+ * @param message Command.
+ * @return Promise - Resolved with the answer.
+ */
+const request = (worker, message) => new Promise((resolve, reject) => {
+  worker.once('message', (answer) => {
+    if (answer.error) {
+      reject(new Error(answer.error));
+    } else {
+      resolve(answer);
+    }
+  });
+  worker.postMessage(message);
+});
+
+/**
+ * One line of progress: the most pipes and the best score of every island.
+ *
+ * @param generation Generations trained.
+ * @param results Last answers of the islands.
+ * @return String - Progress line.
+ */
+const progress = (generation, results) => [
+  `gen ${generation}`,
+  `pipes ${results.map((result) => result.pipes).join(' ')}`,
+  `best ${results.map((result) => result.best).join(' ')}`,
+].join('  ');
+
+/**
+ * Train every island, migrating between them.
+ *
+ * @param config Complete config.
+ * @param quiet Whether to print progress.
+ * @return Promise - Resolved with the last answers of the islands.
+ */
+const train = async (config, quiet) => {
+  const migration = Object.assign({}, Islands.defaults, config.islands);
+  const random = new Random(config.seed === null ? undefined : config.seed);
+  const workers = [];
+  let inbox = [];
+  let results = [];
+  let generation = 0;
+
+  try {
+    for (let i = 0; i < migration.count; i++) {
+      workers.push(new Worker(__filename));
+      inbox.push([]);
+    }
+
+    await Promise.all(workers.map((worker, i) =>
+      request(worker, {type: 'init', config: config, index: i})));
+
+    while (generation < config.maxGenerations &&
+      !results.some((result) => result.reached)) {
+      const generations = Math.min(migration.interval,
+        config.maxGenerations - generation);
+
+      results = await Promise.all(workers.map((worker, i) =>
+        request(worker, {
+          type: 'train',
+          generations: generations,
+          immigrants: inbox[i],
+          migrants: migration.migrants,
+        })));
+      generation += generations;
+
+      inbox = workers.map(() => []);
+      results.forEach((result, i) => {
+        for (const j of Topologies[migration.topology](i, workers.length,
+          random)) {
+          inbox[j] = inbox[j].concat(result.emigrants);
+        }
+      });
+
+      if (!quiet) {
+        console.log(progress(generation, results));
+      }
+    }
+  } finally {
+    workers.forEach((worker) => worker.terminate());
+  }
+
+  return results;
+};
+
+const main = async () => {
+  let args;
+  let config;
+
+  try {
+    args = experiment.parseArguments(process.argv.slice(2),
+      path.join(__dirname, 'experiments', 'islands.json'));
+    config = Object.assign(JSON.parse(fs.readFileSync(args.file, 'utf8')),
+      args.overrides);
+    config.name = config.name || path.basename(args.file, '.json');
+    config = experiment.normalize(config);
+
+    if (config.islands === null) {
+      throw new Error('Islands: the config has no islands.');
+    }
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  const out = args.out || path.join('results', config.name);
+  let results;
+
+  try {
+    results = await train(config, args.quiet);
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  const winner = results.find((result) => result.reached);
+  const reached = !!winner;
+  const best = results.reduce((a, b) => (b.best > a.best ? b : a));
+
+  fs.mkdirSync(out, {recursive: true});
+  results.forEach((result) => {
+    fs.writeFileSync(path.join(out, `island-${result.index + 1}.csv`),
+      Stats.csv(result.stats));
+  });
+  if (best.champion) {
+    snapshot.write(path.join(out, 'champion.json'), best.champion);
+  }
+  fs.writeFileSync(path.join(out, 'result.json'), JSON.stringify({
+    name: config.name,
+    config: config,
+    reached: reached,
+    generations: Math.max(...results.map((result) => result.stats.length)),
+    best: best.best,
+    pipes: Math.max(...results.map((result) => result.pipes)),
+    islands: results.map((result) => ({
+      seed: result.seed,
+      reached: result.reached,
+      generations: result.stats.length,
+      best: result.best,
+      pipes: result.pipes,
+    })),
+  }, null, 2));
+
+  if (config.targetPipes === null) {
+    console.log(`${config.name}: ${results.length} islands, results in ` +
+      out);
+    return 0;
+  }
+
+  console.log(`${config.name}: target of ${config.targetPipes} pipes ` +
+    `${reached ? `reached by island ${winner.index + 1}` : 'NOT reached'}, ` +
+    `results in ${out}`);
+
+  return reached ? 0 : 1;
+};
+
+if (isMainThread) {
+  main().then((status) => {
+    process.exitCode = status;
+  });
+} else {
+  // Worker thread: train one island.
+  let island = null;
+
+  parentPort.on('message', (message) => {
+    try {
+      if (message.type === 'init') {
+        const config = message.config;
+        const brain = createBrain(Object.assign(
+          experiment.brainOptions(config),
+          {seed: config.seed === null ? null :
+            Random.normalize(config.seed) + message.index}));
+        const simulation = new IslandSimulation(brain, config.world);
+
+        island = {
+          index: message.index,
+          config: config,
+          brain: brain,
+          simulation: simulation,
+          maxFrames: experiment.frameLimit(config, simulation),
+          reached: false,
+          pipes: 0,
+        };
+        parentPort.postMessage({index: island.index});
+        return;
+      }
+
+      const brain = island.brain;
+      const target = island.config.targetPipes;
+
+      island.simulation.immigrants = message.immigrants;
+
+      for (let i = 0; i < message.generations && !island.reached; i++) {
+        const result = island.simulation.runGeneration(island.maxFrames);
+
+        island.pipes = Math.max(island.pipes, result.pipesPassed);
+        island.reached = target !== null && result.pipesPassed >= target;
+      }
+
+      parentPort.postMessage({
+        index: island.index,
+        seed: brain.options.seed,
+        reached: island.reached,
+        pipes: island.pipes,
+        best: brain.best ? brain.best.score : 0,
+        stats: brain.stats,
+        emigrants: Islands.emigrants(brain, message.migrants),
+        champion: brain.best ? Snapshot.champion(brain) : null,
+      });
+    } catch (e) {
+      parentPort.postMessage({error: e.message});
+    }
+  });
+}
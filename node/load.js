@@ -0,0 +1,43 @@
+/**
+ * Load the game scripts under Node.
+ *
+ * The files in js/ are plain browser scripts sharing one global scope, in
+ * the order index.html includes them. This requires them in that same order
+ * and exposes their exports as globals, so each script finds the classes of
+ * the previous ones exactly like it does in the page.
+ *
+ * @return Object - Every class exported by the scripts.
+ */
+const path = require('path');
+
+const scripts = [
+  'Random.js',
+  'Chronicle.js',
+  'Bird-Brain.js',
+  'Strategies.js',
+  'Neat.js',
+  'Dqn.js',
+  'Sensors.js',
+  'Simulation.js',
+  'Obstacles.js',
+  'Match.js',
+  'Arena.js',
+  'Islands.js',
+  'Tournament.js',
+  'Snapshot.js',
+  'Runner.js',
+  'Replay.js',
+  'Stats.js',
+];
+
+const exported = {};
+
+for (const script of scripts) {
+  const classes = require(path.join(__dirname, '..', 'js', script));
+
+  // Before the next script, which may extend these classes.
+  Object.assign(global, classes);
+  Object.assign(exported, classes);
+}
+
+module.exports = exported;
@@ -0,0 +1,28 @@
+/**
+ * Read and write Snapshot files from Node.
+ *
+ * Same format as the files the page exports and imports, see js/Snapshot.js.
+ */
+const fs = require('fs');
+const {Snapshot} = require('./load.js');
+
+/**
+ * Read and check a snapshot file.
+ *
+ * @param file Path of the snapshot.
+ * @return Object - Population or champion snapshot.
+ */
+const read = (file) => Snapshot.parse(fs.readFileSync(file, 'utf8'));
+
+/**
+ * Write a snapshot file.
+ *
+ * @param file Path of the snapshot.
+ * @param data Snapshot (see Snapshot.population() and Snapshot.champion()).
+ * @return void
+ */
+const write = (file, data) => {
+  fs.writeFileSync(file, Snapshot.stringify(Snapshot.check(data)));
+};
+
+module.exports = {read, write};
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+/**
+ * Search the options of BirdBrain for this game.
+ *
+ *   node node/sweep.js [sweep.json] [--out dir] [--threads n]
+ *
+ * A sweep config holds:
+ * - base: experiment config shared by every point (see node/experiment.js),
+ *   e.g. the target pipes and the generations budget.
+ * - search: 'grid' (every combination of the grid values), 'random'
+ *   (samples points drawn in the ranges) or 'list' (the given points).
+ * - grid: values of each option, e.g. {"elitism": [0.1, 0.2]}.
+ * - ranges: [min, max] of each option for a random search (integers when
+ *   both bounds are), samples: number of points, and seed of the draws.
+ * - points: options of every point of a list, e.g. one per engine.
+ * - seeds: seeds every point is trained with.
+ * - rankBy: 'generations' (default) or 'frames'.
+ *
+ * Runs are spread over worker threads (one per CPU by default). Points are
+ * ranked by median generations to the target (a run missing it counts
+ * maxGenerations + 1), then by median best score. Ranked by frames, points
+ * reaching the target on more seeds come first, then the ones flying the
+ * fewest frames (median of all birds, every generation, until the target or
+ * the end): the experience they need, whatever a generation is to their
+ * engine. The report is written as sweep.json and a self-contained
+ * sweep.html in the out directory (results/<sweep name>).
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {Worker, isMainThread, parentPort} = require('worker_threads');
+const {Random} = require('./load.js');
+const experiment = require('./experiment.js');
+
+/**
+ * Points of a sweep: the options each one sets.
+ *
+ * @param sweep Sweep config.
+ * @return [] - Options of every point.
+ */
+const points = (sweep) => {
+  if (sweep.search === 'random') {
+    const random = new Random(sweep.seed === undefined ? 1 : sweep.seed);
+    const out = [];
+
+    for (let i = 0; i < (sweep.samples || 10); i++) {
+      const point = {};
+
+      for (const key in sweep.ranges) {
+        const [min, max] = sweep.ranges[key];
+
+        point[key] = Number.isInteger(min) && Number.isInteger(max) ?
+          min + Math.floor(random.next() * (max - min + 1)) :
+          random.range(min, max);
+      }
+      out.push(point);
+    }
+
+    return out;
+  }
+
+  if (sweep.search === 'list') {
+    return (sweep.points || []).map((point) => Object.assign({}, point));
+  }
+
+  if (sweep.search !== 'grid') {
+    throw new Error(`Sweep: unknown search "${sweep.search}".`);
+  }
+
+  let out = [{}];
+  for (const key in sweep.grid) {
+    const next = [];
+
+    for (const point of out) {
+      for (const value of sweep.grid[key]) {
+        next.push(Object.assign({}, point, {[key]: value}));
+      }
+    }
+    out = next;
+  }
+
+  return out;
+};
+
+/**
+ * Median of numbers.
+ *
+ * @param values Numbers.
+ * @return Number - Median (0 for none).
+ */
+const median = (values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const size = sorted.length;
+
+  if (size === 0) {
+    return 0;
+  }
+
+  return (sorted[Math.floor((size - 1) / 2)] +
+    sorted[Math.ceil((size - 1) / 2)]) / 2;
+};
+
+/**
+ * Summarize and rank the points from their runs.
+ *
+ * @param sweep Sweep config.
+ * @param options Options of every point.
+ * @param runs Results of every run ({point, seed, reached, generations,
+ * frames, best, pipes}).
+ * @return [] - Points, best first, with their rank and medians.
+ */
+const rank = (sweep, options, runs) => {
+  const table = options.map((point, i) => {
+    const own = runs.filter((run) => run.point === i);
+    const config = experiment.normalize(Object.assign({}, sweep.base, point));
+
+    return {
+      options: point,
+      runs: own.length,
+      reached: own.filter((run) => run.reached).length,
+      maxGenerations: config.maxGenerations,
+      medianGenerations: median(own.map((run) =>
+        run.reached ? run.generations : config.maxGenerations + 1)),
+      medianFrames: median(own.map((run) => run.frames)),
+      medianBest: median(own.map((run) => run.best)),
+      medianPipes: median(own.map((run) => run.pipes)),
+    };
+  });
+
+  if (sweep.rankBy === 'frames') {
+    table.sort((a, b) => b.reached / b.runs - a.reached / a.runs ||
+      a.medianFrames - b.medianFrames);
+  } else {
+    table.sort((a, b) => a.medianGenerations - b.medianGenerations ||
+      b.medianBest - a.medianBest);
+  }
+  table.forEach((row, i) => {
+    row.rank = i + 1;
+  });
+
+  return table;
+};
+
+/**
+ * Escape text for HTML.
+ *
+ * @param text Any value.
+ * @return String - Escaped text.
+ */
+const escape = (text) => String(text).replace(/[&<>"]/g, (c) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+})[c]);
+
+/**
+ * Self-contained HTML summary of a sweep.
+ *
+ * @param report Sweep report (see main()).
+ * @return String - HTML page.
+ */
+const html = (report) => {
+  const keys = [];
+  for (const row of report.table) {
+    for (const key in row.options) {
+      if (!keys.includes(key)) {
+        keys.push(key);
+      }
+    }
+  }
+  const rows = report.table.map((row) => {
+    const width = Math.round(row.medianGenerations /
+      (row.maxGenerations + 1) * 100);
+
+    return `<tr>
+      <td>${row.rank}</td>
+      ${keys.map((key) => `<td>${escape(JSON.stringify(row.options[key]))}</td>`).join('')}
+      <td>${row.reached} / ${row.runs}</td>
+      <td><div class="bar"><span style="width: ${width}%"></span></div>${row.medianGenerations}</td>
+      <td>${row.medianFrames}</td>
+      <td>${row.medianBest}</td>
+      <td>${row.medianPipes}</td>
+    </tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Sweep ${escape(report.name)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #333333; }
+    table { border-collapse: collapse; }
+    th, td { padding: 4px 10px; border-bottom: 1px solid #DDDDDD; text-align: right; }
+    th { background: #F5F5F5; }
+    tr:nth-child(2) td { font-weight: bold; }
+    .bar { display: inline-block; width: 100px; height: 8px; margin-right: 6px; background: #EEEEEE; }
+    .bar span { display: block; height: 100%; background: #06C1DE; }
+  </style>
+</head>
+<body>
+  <h1>Sweep ${escape(report.name)}</h1>
+  <p>
+    ${report.table.length} points (${escape(report.search)} search), seeds
+    ${escape(report.seeds.join(', '))}, target of
+    ${escape(report.base.targetPipes)} pipes within
+    ${report.base.maxGenerations} generations, ${report.duration / 1000}s.
+    ${report.rankBy === 'frames' ?
+    'Ranked by runs reaching the target, then by median frames flown.' :
+    'Ranked by median generations to the target (maxGenerations + 1 when ' +
+    'missed), then by median best score.'}
+  </p>
+  <table>
+    <tr>
+      <th>Rank</th>
+      ${keys.map((key) => `<th>${escape(key)}</th>`).join('')}
+      <th>Reached</th>
+      <th>Median generations</th>
+      <th>Median frames</th>
+      <th>Median best</th>
+      <th>Median pipes</th>
+    </tr>
+${rows}
+  </table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Run every point with every seed on worker threads.
+ *
+ * @param sweep Sweep config.
+ * @param options Options of every point.
+ * @param threads Number of worker threads.
+ * @param onRun Called with every run result.
+ * @return Promise - Resolved with the run results.
+ */
+const runAll = (sweep, options, threads, onRun) => {
+  const jobs = [];
+  const runs = [];
+  const workers = [];
+
+  options.forEach((point, i) => {
+    for (const seed of sweep.seeds) {
+      jobs.push({
+        point: i,
+        seed: seed,
+        config: Object.assign({}, sweep.base, point, {seed: seed}),
+      });
+    }
+  });
+
+  const total = jobs.length;
+
+  const next = (worker) => {
+    if (jobs.length > 0) {
+      worker.postMessage(jobs.shift());
+    } else {
+      worker.terminate();
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    if (total === 0) {
+      resolve(runs);
+      return;
+    }
+
+    for (let i = 0; i < Math.min(threads, total); i++) {
+      const worker = new Worker(__filename);
+
+      worker.on('message', (run) => {
+        if (run.error) {
+          workers.forEach((w) => w.terminate());
+          reject(new Error(run.error));
+          return;
+        }
+
+        runs.push(run);
+        onRun(run, runs.length, total);
+
+        if (runs.length === total) {
+          resolve(runs);
+        }
+        next(worker);
+      });
+      worker.on('error', reject);
+      workers.push(worker);
+      next(worker);
+    }
+  });
+};
+
+/**
+ * Read the command line arguments.
+ *
+ * @param argv Arguments after the script.
+ * @return {file, out, threads} Parsed arguments.
+ */
+const parseArguments = (argv) => {
+  const args = {
+    file: path.join(__dirname, 'experiments', 'sweep.json'),
+    out: null,
+    threads: os.cpus().length,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else if (argv[i] === '--threads') {
+      args.threads = parseInt(argv[++i]);
+    } else {
+      args.file = argv[i];
+    }
+  }
+
+  if (!(args.threads > 0)) {
+    throw new Error('Sweep: --threads must be a positive integer.');
+  }
+
+  return args;
+};
+
+const main = async () => {
+  let args;
+  let sweep;
+  let options;
+
+  try {
+    args = parseArguments(process.argv.slice(2));
+    sweep = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    sweep.name = sweep.name || path.basename(args.file, '.json');
+    sweep.search = sweep.search || 'grid';
+    sweep.seeds = sweep.seeds || [1, 2, 3];
+    sweep.rankBy = sweep.rankBy || 'generations';
+    if (!['generations', 'frames'].includes(sweep.rankBy)) {
+      throw new Error(`Sweep: unknown rankBy "${sweep.rankBy}".`);
+    }
+    options = points(sweep);
+    if (options.length === 0) {
+      throw new Error('Sweep: no point to run (empty grid values, samples ' +
+        'or points).');
+    }
+    if (!Array.isArray(sweep.seeds) || sweep.seeds.length === 0) {
+      throw new Error('Sweep: seeds must list at least one seed.');
+    }
+    // Fail early on a bad point rather than in a thread.
+    for (const point of options) {
+      experiment.normalize(Object.assign({}, sweep.base, point));
+    }
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  const started = Date.now();
+  const out = args.out || path.join('results', sweep.name);
+  let runs;
+
+  console.log(`${options.length} points x ${sweep.seeds.length} seeds on ` +
+    `${args.threads} threads`);
+
+  try {
+    runs = await runAll(sweep, options, args.threads, (run, done, total) => {
+      console.log(`[${done}/${total}] ${JSON.stringify(options[run.point])} ` +
+        `seed ${run.seed}: ${run.reached ? 'reached' : 'missed'} in ` +
+        `${run.generations} generations (${run.frames} frames), best ` +
+        `${run.best}`);
+    });
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  const report = {
+    name: sweep.name,
+    search: sweep.search,
+    rankBy: sweep.rankBy,
+    seeds: sweep.seeds,
+    base: experiment.normalize(sweep.base || {}),
+    duration: Date.now() - started,
+    table: rank(sweep, options, runs),
+    runs: runs,
+  };
+
+  fs.mkdirSync(out, {recursive: true});
+  fs.writeFileSync(path.join(out, 'sweep.json'),
+    JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(out, 'sweep.html'), html(report));
+
+  console.log(`Best: ${JSON.stringify(report.table[0].options)} (median ` +
+    `${report.table[0].medianGenerations} generations, ` +
+    `${report.table[0].medianFrames} frames), report in ${out}`);
+
+  return 0;
+};
+
+if (isMainThread) {
+  main().then((status) => {
+    process.exitCode = status;
+  });
+} else {
+  // Worker thread: train the runs it is sent.
+  parentPort.on('message', (job) => {
+    try {
+      const result = experiment.run(job.config);
+
+      parentPort.postMessage({
+        point: job.point,
+        seed: job.seed,
+        reached: result.reached,
+        generations: result.generations,
+        frames: result.frames,
+        best: result.best,
+        pipes: result.pipes,
+      });
+    } catch (e) {
+      parentPort.postMessage({error: e.message});
+    }
+  });
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Benchmark saved champions against each other.
+ *
+ *   node node/tournament.js champion.json... [--benchmark n] [--out dir]
+ *
+ * Every champion (or population snapshot, for its best network) flies the
+ * seeded courses of the benchmark (Tournament.version if omitted, see
+ * js/Tournament.js). Prints the leaderboard (mean and most pipes passed,
+ * crash causes), writes it as leaderboard.json in the out directory
+ * (results/tournament-<benchmark>) and exits with 2 on bad arguments.
+ */
+const fs = require('fs');
+const path = require('path');
+const {Tournament} = require('./load.js');
+const snapshot = require('./snapshot.js');
+
+/**
+ * Read the command line arguments.
+ *
+ * @param argv Arguments after the script.
+ * @return {files, benchmark, out} Parsed arguments.
+ */
+const parseArguments = (argv) => {
+  const args = {
+    files: [],
+    benchmark: Tournament.version,
+    out: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--benchmark') {
+      args.benchmark = Number(argv[++i]);
+    } else if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+
+  if (args.files.length === 0) {
+    throw new Error('Tournament: no champion files given.');
+  }
+
+  return args;
+};
+
+/**
+ * Name of a contender: its file name, or the directory of the run for the
+ * champion.json files of node/train.js.
+ *
+ * @param file Path of the snapshot.
+ * @return String - Name on the leaderboard.
+ */
+const nameOf = (file) => {
+  const name = path.basename(file, '.json');
+
+  return name === 'champion' ?
+    path.basename(path.dirname(path.resolve(file))) :
+    name;
+};
+
+/**
+ * Leaderboard as text, one line per contender.
+ *
+ * @param table Leaderboard rows.
+ * @return String - Aligned table.
+ */
+const format = (table) => {
+  const width = Math.max(4, ...table.map((row) => row.name.length));
+  const lines = [
+    `${'#'.padStart(3)}  ${'Name'.padEnd(width)}  ${'Mean'.padStart(7)}  ` +
+    `${'Max'.padStart(5)}  Crashes`,
+  ];
+
+  for (const row of table) {
+    const crashes = Object.keys(row.crashes).sort()
+      .map((cause) => `${cause} ${row.crashes[cause]}`).join(', ');
+
+    lines.push(`${String(row.rank).padStart(3)}  ${row.name.padEnd(width)}  ` +
+      `${row.mean.toFixed(1).padStart(7)}  ${String(row.max).padStart(5)}  ` +
+      crashes);
+  }
+
+  return lines.join('\n');
+};
+
+const main = () => {
+  let args;
+  let tournament;
+
+  try {
+    args = parseArguments(process.argv.slice(2));
+    const contenders = args.files.map((file) =>
+      Tournament.contender(snapshot.read(file), nameOf(file)));
+
+    tournament = new Tournament(contenders, args.benchmark);
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  const out = args.out ||
+    path.join('results', `tournament-${tournament.version}`);
+
+  tournament.run();
+
+  const report = tournament.report();
+
+  console.log(`Benchmark ${report.benchmark} (${report.name}): ` +
+    `${report.seeds.length} courses, up to ${report.maxPipes} pipes`);
+  console.log(format(report.table));
+
+  fs.mkdirSync(out, {recursive: true});
+  fs.writeFileSync(path.join(out, 'leaderboard.json'),
+    JSON.stringify(report, null, 2));
+
+  return 0;
+};
+
+process.exitCode = main();
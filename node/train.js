@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Train from the command line.
+ *
+ *   node node/train.js [config.json] [--out dir] [--quiet] [--key value]...
+ *
+ * Runs the experiment of the config (node/experiments/default.json if
+ * omitted, see node/experiment.js), any --key value pair overriding a key
+ * of it (values are read as JSON when they can be, e.g. --seed 7 or
+ * --network [2,[4],1]). Prints one line per generation, writes stats.csv,
+ * stats.json, champion.json, result.json (and replay.json with --record
+ * true) in the out directory (results/<config name>), and exits with 0 if
+ * the target was reached, 1 if not and 2 on a bad config.
+ */
+const fs = require('fs');
+const path = require('path');
+const {Stats} = require('./load.js');
+const snapshot = require('./snapshot.js');
+const experiment = require('./experiment.js');
+
+/**
+ * One line of progress.
+ *
+ * @param row Stats row of a generation.
+ * @return String - Progress line.
+ */
+const progress = (row) => [
+  `gen ${row.generation}`,
+  `best ${row.best}`,
+  `mean ${Math.round(row.mean)}`,
+  `pipes ${row.pipes}`,
+  `diversity ${row.diversity.toFixed(3)}`,
+  `${row.duration}ms`,
+].join('  ');
+
+const main = () => {
+  let args;
+  let config;
+
+  try {
+    args = experiment.parseArguments(process.argv.slice(2),
+      path.join(__dirname, 'experiments', 'default.json'));
+    config = Object.assign(JSON.parse(fs.readFileSync(args.file, 'utf8')),
+      args.overrides);
+    config.name = config.name || path.basename(args.file, '.json');
+    experiment.normalize(config);
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  const out = args.out || path.join('results', config.name);
+  let result;
+
+  try {
+    result = experiment.run(config, (row) => {
+      if (!args.quiet) {
+        console.log(progress(row));
+      }
+    });
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  fs.mkdirSync(out, {recursive: true});
+  fs.writeFileSync(path.join(out, 'stats.csv'), Stats.csv(result.stats));
+  fs.writeFileSync(path.join(out, 'stats.json'), Stats.json(result.stats));
+  if (result.champion) {
+    snapshot.write(path.join(out, 'champion.json'), result.champion);
+  }
+  if (result.replay) {
+    snapshot.write(path.join(out, 'replay.json'), result.replay);
+  }
+  fs.writeFileSync(path.join(out, 'result.json'), JSON.stringify({
+    name: config.name,
+    config: result.config,
+    seed: result.seed,
+    reached: result.reached,
+    generations: result.generations,
+    best: result.best,
+    pipes: result.pipes,
+  }, null, 2));
+
+  const target = result.config.targetPipes;
+
+  if (target === null) {
+    console.log(`${config.name}: ${result.pipes} pipes in ` +
+      `${result.generations} generations, results in ${out}`);
+    return 0;
+  }
+
+  console.log(`${config.name}: target of ${target} pipes ` +
+    `${result.reached ? 'reached' : 'NOT reached'} in ` +
+    `${result.generations} generations, results in ${out}`);
+
+  return result.reached ? 0 : 1;
+};
+
+process.exitCode = main();